@@ -0,0 +1,165 @@
+// Class routes: instructors publish assignments, students hand in results,
+// and instructors read back every submission for the class roster.
+// Students are identified by their own token. The answer results in a
+// submission are graded by the student's app and reported as-is: the server
+// checks their shape and scores them, but cannot tell whether they are true.
+import { randomUUID } from 'node:crypto';
+import { getData, saveData } from './dataStore.js';
+import { httpError, readJsonBody, sendJson } from './http.js';
+
+// ExamFormat values in src/examService.js
+const ASSIGNMENT_FORMATS = ['mc', 'short', 'scientific', 'mastery'];
+// Points per answer result; a half-right scientific name earns half a point
+const RESULT_POINTS = { correct: 1, close: 1, partial: 0.5, incorrect: 0 };
+const MAX_TITLE_LENGTH = 100;
+const MAX_FLOWERS = 500;
+
+/**
+ * Check an assignment sent by an instructor
+ * @param {Object} body - { title, flowerIds, format, dueDate, requiredPercent }
+ * @returns {Object} The assignment fields to store
+ * @throws {Error} 400 if a field is missing or malformed
+ */
+function checkAssignment(body) {
+  const { title, flowerIds, format, dueDate, requiredPercent } = body || {};
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+    throw httpError(400, `Title must be 1 to ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (!Array.isArray(flowerIds) || flowerIds.length === 0 || flowerIds.length > MAX_FLOWERS
+      || !flowerIds.every(id => typeof id === 'string' && id)) {
+    throw httpError(400, `An assignment needs 1 to ${MAX_FLOWERS} flower ids`);
+  }
+  if (!ASSIGNMENT_FORMATS.includes(format)) {
+    throw httpError(400, `Format must be one of ${ASSIGNMENT_FORMATS.join(', ')}`);
+  }
+  if (dueDate !== null && !(typeof dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dueDate))) {
+    throw httpError(400, 'Due date must be YYYY-MM-DD or null');
+  }
+  if (!Number.isInteger(requiredPercent) || requiredPercent < 1 || requiredPercent > 100) {
+    throw httpError(400, 'Required score must be a whole percent from 1 to 100');
+  }
+  return { title: title.trim(), flowerIds: [...new Set(flowerIds)], format, dueDate, requiredPercent };
+}
+
+/**
+ * Check a submission sent by a student and score it. Each of the assignment's
+ * flowers gets exactly one answer; flowers the student did not answer count
+ * as incorrect, so the score is always out of the whole assignment.
+ * @param {Object} body - { assignmentId, answers: [{ flower, result }] }
+ * @param {Object} assignment - The assignment it answers
+ * @returns {Object} { score, answers } with one answer per assignment flower
+ * @throws {Error} 400 if a field is missing or malformed
+ */
+function checkSubmission(body, assignment) {
+  const { answers } = body;
+  if (!Array.isArray(answers)
+      || !answers.every(a => a && assignment.flowerIds.includes(a.flower) && Object.hasOwn(RESULT_POINTS, a.result))) {
+    throw httpError(400, 'Answers must be [{ flower, result }] for the assignment\'s flowers');
+  }
+
+  const results = new Map();
+  answers.forEach(({ flower, result }) => {
+    if (results.has(flower)) throw httpError(400, `Flower ${flower} is answered more than once`);
+    results.set(flower, result);
+  });
+
+  const scored = assignment.flowerIds.map(flower => ({ flower, result: results.get(flower) ?? 'incorrect' }));
+  return {
+    score: scored.reduce((sum, { result }) => sum + RESULT_POINTS[result], 0),
+    answers: scored
+  };
+}
+
+/**
+ * Today's date on the server, as YYYY-MM-DD
+ * @returns {string} Local date
+ */
+function today() {
+  return new Date().toLocaleDateString('en-CA');
+}
+
+/**
+ * Handle a request under /api/class
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Request URL
+ * @param {Object} member - { role: 'instructor' } or { role: 'student', student } (from the caller's token)
+ */
+export async function handleClassRequest(req, res, url, { role, student }) {
+  const classData = getData().class;
+  const isInstructor = role === 'instructor';
+  const assignmentMatch = /^\/api\/class\/assignments\/([\w-]+)$/.exec(url.pathname);
+
+  // GET /api/class/assignments -> { role, student, assignments, submissions }
+  // Students get their own submissions; instructors need /api/class/roster
+  if (url.pathname === '/api/class/assignments' && req.method === 'GET') {
+    const submissions = isInstructor
+      ? []
+      : classData.submissions.filter(s => s.student.toLowerCase() === student.toLowerCase());
+    sendJson(res, 200, { role, student: student ?? null, assignments: classData.assignments, submissions });
+    return;
+  }
+
+  // POST /api/class/assignments (instructor) -> { assignment }
+  if (url.pathname === '/api/class/assignments' && req.method === 'POST') {
+    if (!isInstructor) throw httpError(403, 'Only instructors can publish assignments');
+    const assignment = {
+      id: randomUUID(),
+      ...checkAssignment(await readJsonBody(req)),
+      createdAt: new Date().toISOString()
+    };
+    classData.assignments.push(assignment);
+    await saveData();
+    sendJson(res, 201, { assignment });
+    return;
+  }
+
+  // DELETE /api/class/assignments/:id (instructor) -> { deleted }; its submissions go too
+  if (assignmentMatch && req.method === 'DELETE') {
+    if (!isInstructor) throw httpError(403, 'Only instructors can delete assignments');
+    const id = assignmentMatch[1];
+    if (!classData.assignments.some(a => a.id === id)) throw httpError(404, 'Assignment not found');
+    classData.assignments = classData.assignments.filter(a => a.id !== id);
+    classData.submissions = classData.submissions.filter(s => s.assignmentId !== id);
+    await saveData();
+    sendJson(res, 200, { deleted: id });
+    return;
+  }
+
+  // POST /api/class/submissions (student) -> { submission }
+  if (url.pathname === '/api/class/submissions' && req.method === 'POST') {
+    if (isInstructor) throw httpError(403, 'Use a student token to hand in assignments');
+    const body = await readJsonBody(req);
+    const assignment = classData.assignments.find(a => a.id === body?.assignmentId);
+    if (!assignment) throw httpError(404, 'Assignment not found - it may have been withdrawn');
+
+    const { score, answers } = checkSubmission(body, assignment);
+    const total = assignment.flowerIds.length;
+    const submission = {
+      id: randomUUID(),
+      assignmentId: assignment.id,
+      student,
+      submittedAt: new Date().toISOString(),
+      score,
+      total,
+      percent: Math.round((score / total) * 100),
+      // Compared unrounded, so 69.5% does not pass a 70% requirement
+      passed: (score / total) * 100 >= assignment.requiredPercent,
+      late: assignment.dueDate !== null && today() > assignment.dueDate,
+      answers
+    };
+    classData.submissions.push(submission);
+    await saveData();
+    sendJson(res, 201, { submission });
+    return;
+  }
+
+  // GET /api/class/roster (instructor) -> { assignments, submissions }
+  if (url.pathname === '/api/class/roster' && req.method === 'GET') {
+    if (!isInstructor) throw httpError(403, 'Only instructors can see the class roster');
+    sendJson(res, 200, { assignments: classData.assignments, submissions: classData.submissions });
+    return;
+  }
+
+  throw httpError(404, 'Not found');
+}
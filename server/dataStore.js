@@ -0,0 +1,64 @@
+// The server's data, held in memory and saved to one JSON file
+import { readFile, writeFile, rename } from 'node:fs/promises';
+
+// {
+//   accounts: { [tokenHash]: { cursor, records: { [flowerId]: { record, changed } } } },
+//   class: { assignments: [...], submissions: [...] }
+// }
+let data = null;
+let dataFile = null;
+let saving = Promise.resolve();
+let unsaved = false; // True while changes are only in memory because a write failed
+
+/**
+ * Load stored data, starting empty if there is none yet
+ * @param {string} file - Path of the data file
+ */
+export async function loadData(file) {
+  dataFile = file;
+  try {
+    data = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    data = {};
+  }
+  data.accounts ??= {};
+  data.class ??= { assignments: [], submissions: [] };
+}
+
+/**
+ * Get the data to read or change (call saveData after changing it)
+ * @returns {Object} Server data
+ */
+export function getData() {
+  return data;
+}
+
+/**
+ * Save the data; writes go one at a time through a temporary file, so a
+ * crash never leaves a half-written data file
+ * @returns {Promise<void>} Rejects if this write fails (later writes still run)
+ */
+export function saveData() {
+  // A failed earlier write was reported to its own caller; don't let it block this one
+  saving = saving.catch(() => {}).then(async () => {
+    const tempFile = `${dataFile}.tmp`;
+    await writeFile(tempFile, JSON.stringify(data));
+    await rename(tempFile, dataFile);
+  }).then(() => {
+    unsaved = false;
+  }, error => {
+    unsaved = true;
+    throw error;
+  });
+  return saving;
+}
+
+/**
+ * Check whether a write failed since the last successful one, i.e. some
+ * changes would be lost on restart
+ * @returns {boolean} True if the data needs saving
+ */
+export function hasUnsavedChanges() {
+  return unsaved;
+}
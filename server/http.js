@@ -0,0 +1,74 @@
+// Request and response helpers shared by the server's routes
+import { createHash } from 'node:crypto';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Create an error that is sent to the client with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Message for the client
+ * @returns {Error} Error with a status property
+ */
+export function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Hash a token, so the data file never holds tokens themselves
+ * @param {string} token - Access token
+ * @returns {string} Hex SHA-256
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Hash the bearer token a request carries
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} Token hash, or null if there is no token
+ */
+export function requestTokenHash(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  return match ? hashToken(match[1]) : null;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+export function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ * @throws {Error} With a status property if the body is too large or not JSON
+ */
+export function readJsonBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      // Past the limit the rest of the body is read and dropped, so the 413 still reaches the client
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body is too large'));
+        return;
+      }
+      try {
+        resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(httpError(400, 'Request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
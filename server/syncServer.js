@@ -0,0 +1,242 @@
+// Self-hostable server for Floral Quiz: progress sync across devices and
+// class assignments. Plain Node, no dependencies; everything is kept in one
+// JSON file.
+//
+//   SYNC_TOKENS=alice-secret,bob-secret npm run sync-server
+//
+// Each sync token is its own account: devices that use the same token share
+// progress. Settings (environment variables, at least one kind of token is required):
+//   SYNC_TOKENS              Comma-separated access tokens for progress sync
+//   CLASS_INSTRUCTOR_TOKENS  Comma-separated tokens for instructors
+//   CLASS_STUDENT_TOKENS     Comma-separated name:token pairs, one per student, e.g.
+//                            "Ana Lopez:ana-secret,Ben Ho:ben-secret" (the token is the student's identity)
+//   PORT                     Port to listen on (default 8787)
+//   HOST                     Address to listen on (default 127.0.0.1; use 0.0.0.0 for other devices)
+//   SYNC_DATA_FILE           Where data is stored (default server/sync-data.json)
+//   SYNC_ALLOWED_ORIGIN      Origin allowed to call the API from a browser (default *)
+//
+// API (all but /api/health need "Authorization: Bearer <token>"):
+//   GET  /api/health              -> { ok: true }
+//   GET  /api/progress?since=N    -> { records: { flowerId: record }, cursor }
+//                                    Records changed after cursor N (0 for all)
+//   POST /api/progress            { records: { flowerId: record } }
+//                                 -> { updated, cursor }
+//                                    Merged with the stored records
+//   /api/class/...                Class assignments and results, see server/classRoutes.js
+import { createServer } from 'node:http';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { mergeProgressRecords, isSameRecord } from '../src/syncMerge.js';
+import { loadData, getData, saveData, hasUnsavedChanges } from './dataStore.js';
+import { hashToken, httpError, requestTokenHash, readJsonBody, sendJson } from './http.js';
+import { handleClassRequest } from './classRoutes.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_FILE = resolve(process.env.SYNC_DATA_FILE || join(dirname(fileURLToPath(import.meta.url)), 'sync-data.json'));
+const ALLOWED_ORIGIN = process.env.SYNC_ALLOWED_ORIGIN || '*';
+const MAX_FLOWER_ID_LENGTH = 200;
+const MAX_STUDENT_NAME_LENGTH = 60;
+
+/**
+ * Read a comma-separated token list from the environment
+ * @param {string} name - Variable name
+ * @returns {Set<string>} Token hashes
+ */
+function tokenHashesFrom(name) {
+  return new Set(
+    (process.env[name] || '').split(',').map(token => token.trim()).filter(Boolean).map(hashToken)
+  );
+}
+
+/**
+ * Read the per-student name:token list from the environment. Exits on a
+ * malformed list, since students could not join.
+ * @param {string} name - Variable name
+ * @returns {Map<string, string>} Token hash -> student name
+ */
+function studentsFrom(name) {
+  const students = new Map();
+  const entries = (process.env[name] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  entries.forEach((entry, i) => {
+    const separator = entry.lastIndexOf(':');
+    const student = entry.slice(0, separator).trim();
+    const token = entry.slice(separator + 1).trim();
+    if (separator === -1 || !student || !token || student.length > MAX_STUDENT_NAME_LENGTH) {
+      console.error(`${name}: entry ${i + 1} must be name:token, with a name of up to ${MAX_STUDENT_NAME_LENGTH} characters`);
+      process.exit(1);
+    }
+    if ([...students.values()].some(other => other.toLowerCase() === student.toLowerCase())) {
+      console.error(`${name}: ${student} is listed more than once`);
+      process.exit(1);
+    }
+    students.set(hashToken(token), student);
+  });
+  return students;
+}
+
+const accountIds = tokenHashesFrom('SYNC_TOKENS');
+const instructorIds = tokenHashesFrom('CLASS_INSTRUCTOR_TOKENS');
+const students = studentsFrom('CLASS_STUDENT_TOKENS');
+
+/**
+ * Find the account for a request's bearer token
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} Account, or null if the token is missing or unknown
+ */
+function getAccount(req) {
+  const id = requestTokenHash(req);
+  if (!accountIds.has(id)) return null;
+
+  const { accounts } = getData();
+  accounts[id] ??= { cursor: 0, records: {} };
+  return accounts[id];
+}
+
+/**
+ * Find who in the class a request's bearer token belongs to
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} { role: 'instructor' } or { role: 'student', student: name },
+ *   or null if the token is missing or unknown
+ */
+function getClassMember(req) {
+  const id = requestTokenHash(req);
+  if (instructorIds.has(id)) return { role: 'instructor' };
+  if (students.has(id)) return { role: 'student', student: students.get(id) };
+  return null;
+}
+
+/**
+ * Check a pushed record enough to keep junk out of the data file
+ * @param {string} flowerId - Flower id
+ * @param {*} record - Progress record
+ * @returns {boolean} True if it looks like a progress record
+ */
+function isValidRecord(flowerId, record) {
+  return flowerId.length > 0 && flowerId.length <= MAX_FLOWER_ID_LENGTH
+    // Ids like "__proto__" would change the records object instead of adding a record
+    && !(flowerId in Object.prototype)
+    && record !== null && typeof record === 'object' && !Array.isArray(record)
+    && typeof record.stage === 'string'
+    && Number.isInteger(record.correctCount) && Number.isInteger(record.incorrectCount);
+}
+
+/**
+ * GET /api/progress: records changed after the client's cursor
+ * @param {Object} account - Account
+ * @param {URL} url - Request URL
+ * @returns {Object} { records, cursor }
+ */
+function pullRecords(account, url) {
+  const since = Number(url.searchParams.get('since')) || 0;
+  const records = Object.fromEntries(
+    Object.entries(account.records)
+      .filter(([, { changed }]) => changed > since)
+      .map(([flowerId, { record }]) => [flowerId, record])
+  );
+  return { records, cursor: account.cursor };
+}
+
+/**
+ * POST /api/progress: merge pushed records into the stored ones
+ * @param {Object} account - Account
+ * @param {Object} body - { records }
+ * @returns {Promise<Object>} { updated, cursor }
+ */
+async function pushRecords(account, body) {
+  const records = body?.records;
+  if (!records || typeof records !== 'object' || Array.isArray(records)) {
+    throw httpError(400, 'Body must be { records: { flowerId: record } }');
+  }
+  const invalid = Object.entries(records).filter(([id, record]) => !isValidRecord(id, record)).map(([id]) => id);
+  if (invalid.length > 0) {
+    throw httpError(400, `Malformed records: ${invalid.slice(0, 10).join(', ')}`);
+  }
+
+  let updated = 0;
+  Object.entries(records).forEach(([flowerId, incoming]) => {
+    const stored = account.records[flowerId]?.record;
+    const merged = mergeProgressRecords(stored, incoming);
+    if (!isSameRecord(merged, stored)) {
+      account.cursor++;
+      account.records[flowerId] = { record: merged, changed: account.cursor };
+      updated++;
+    }
+  });
+
+  // A retried push merges to nothing new, but must still save if the first attempt's save failed
+  if (updated > 0 || hasUnsavedChanges()) await saveData();
+  return { updated, cursor: account.cursor };
+}
+
+/**
+ * Handle one request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname === '/api/health' && req.method === 'GET') {
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+  if (url.pathname.startsWith('/api/class/')) {
+    const member = getClassMember(req);
+    if (!member) {
+      sendJson(res, 401, { error: 'Missing or unknown class token' });
+      return;
+    }
+    await handleClassRequest(req, res, url, member);
+    return;
+  }
+  if (url.pathname !== '/api/progress') {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  const account = getAccount(req);
+  if (!account) {
+    sendJson(res, 401, { error: 'Missing or unknown access token' });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    sendJson(res, 200, pullRecords(account, url));
+  } else if (req.method === 'POST') {
+    sendJson(res, 200, await pushRecords(account, await readJsonBody(req)));
+  } else {
+    sendJson(res, 405, { error: 'Method not allowed' });
+  }
+}
+
+if (accountIds.size + instructorIds.size + students.size === 0) {
+  console.error('Set SYNC_TOKENS (and/or CLASS_INSTRUCTOR_TOKENS and CLASS_STUDENT_TOKENS), e.g. SYNC_TOKENS=my-secret npm run sync-server');
+  process.exit(1);
+}
+
+await loadData(DATA_FILE);
+
+const server = createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    if (!error.status) console.error('Request failed:', error);
+    if (!res.headersSent) sendJson(res, error.status || 500, { error: error.status ? error.message : 'Server error' });
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Floral Quiz server on http://${HOST}:${PORT} (${accountIds.size} sync token(s), `
+    + `${instructorIds.size} instructor and ${students.size} student token(s), data in ${DATA_FILE})`);
+});
+
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
@@ -1,42 +1,137 @@
-import { useState, useEffect } from 'react';
-import { flowers } from './flowersData';
-import { fetchFlowerImageSmart } from './wikimediaService';
+import { useState, useEffect, useRef } from 'react';
+import { getCatalog, filterFlowersByDetails } from './catalogService';
+import { getFlowerImage, getFlowerImages, prefetchImages, releaseDisplayUrls } from './imageCache';
+import { banImage, pinImage, isImagePinned } from './imageCuration';
 import {
   getFlowerProgress,
   recordCorrectAnswer,
   recordIncorrectAnswer,
+  recordScientificNameParts,
   getSmartQuizFlowers,
   getFlowersNeedingReview,
-  MasteryStage
+  MasteryStage,
+  STAGE_PROMOTION_INTERVAL,
+  STAGE_ORDER
 } from './storageService';
 import ProgressDashboard from './ProgressDashboard';
 import FlashcardBrowse from './FlashcardBrowse';
+import ImageAttribution from './ImageAttribution';
+import DeckPicker from './DeckPicker';
+import FlowerEditor from './FlowerEditor';
+import ExamMode from './ExamMode';
+import ClassMode from './ClassMode';
+import ProfilePicker from './ProfilePicker';
+import FlowerDetails from './FlowerDetails';
+import QuizFilters from './QuizFilters';
+import PhotoChoiceGrid from './PhotoChoiceGrid';
+import { getSelectedDeckIds, setSelectedDeckIds, getFlowersForDecks } from './deckService';
+import { gradeCommonName, gradeScientificName, getGradesResult, splitBinomial, identifyFlower, GradeResult } from './answerGrading';
+import { ReviewQuality } from './scheduler';
+import { logAttempt } from './attemptLog';
+import { useProgress } from './useProgress';
+import { getActiveProfileId, subscribeProfile } from './profileService';
+import { saveQuizSession, getQuizSessionInfo, loadQuizSession, clearQuizSession } from './sessionService';
+import { getConfusedPairs, getConfusionDrillFlowers } from './confusionService';
+import { pickDistractors, getDistractorDifficulty, setDistractorDifficulty, DistractorDifficulty } from './distractorService';
 import './App.css';
 
+// Result labels for the results review
+const RESULT_LABELS = {
+  correct: '✓ Correct',
+  close: '✓ Close (spelling)',
+  partial: '½ Partly right',
+  incorrect: '✗ Missed'
+};
+
+// Share of questions (for flowers past the flashcard stage) asked the other way round: name → photo
+const REVERSE_QUESTION_SHARE = 0.2;
+
+// Distractor flowers to load photos for, so a missing photo can be replaced
+const REVERSE_CANDIDATES = 4;
+
 function App() {
-  const [gameState, setGameState] = useState('start'); // 'start', 'loading', 'quiz', 'results', 'dashboard'
+  const [gameState, setGameState] = useState('start'); // 'start', 'loading', 'quiz', 'results', 'dashboard', 'flashcards', 'editor', 'exam', 'class'
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [score, setScore] = useState(0);
   const [quizQuestions, setQuizQuestions] = useState([]);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [textAnswer, setTextAnswer] = useState('');
   const [scientificAnswer, setScientificAnswer] = useState('');
+  const [answerGrades, setAnswerGrades] = useState(null); // { common, scientific } grades of the submitted text answers
+  const [questionResults, setQuestionResults] = useState([]); // Per-question outcomes for the results screen
   const [showFeedback, setShowFeedback] = useState(false);
   const [flashcardRevealed, setFlashcardRevealed] = useState(false);
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [isReviewMode, setIsReviewMode] = useState(false);
   const [isReloadingImage, setIsReloadingImage] = useState(false);
+  const [deckIds, setDeckIds] = useState(getSelectedDeckIds);
+  const [flowers, setFlowers] = useState(getCatalog); // Built-in catalog merged with user edits
+  const [distractorDifficulty, setDifficulty] = useState(getDistractorDifficulty);
+  const [detailFilters, setDetailFilters] = useState({ family: '', colour: '', season: '' });
+  const [profileId, setProfileId] = useState(getActiveProfileId);
+
+  const progress = useProgress(); // Re-renders when progress changes, here or in another tab
+  const questionShownAt = useRef(null); // For response times in the attempt log
+
+  // Flowers in the selected study decks (all flowers if none selected),
+  // narrowed by the family/colour/season filters
+  const deckFlowers = getFlowersForDecks(deckIds, flowers);
+  const activeFlowers = filterFlowersByDetails(deckFlowers, detailFilters);
+
+  useEffect(() => {
+    if (gameState === 'quiz') {
+      questionShownAt.current = Date.now();
+    }
+  }, [gameState, currentQuestion]);
+
+  // Load the new learner's settings when the profile changes
+  useEffect(() => subscribeProfile(() => {
+    setProfileId(getActiveProfileId());
+    setDeckIds(getSelectedDeckIds());
+    setDifficulty(getDistractorDifficulty());
+  }), []);
+
+  // Save the quiz after every answer so it can be resumed after a reload; forget it once finished
+  useEffect(() => {
+    if (gameState === 'quiz') {
+      saveQuizSession({ questions: quizQuestions, results: questionResults, score, isReviewMode });
+    } else if (gameState === 'results') {
+      clearQuizSession();
+    }
+  }, [gameState, quizQuestions, questionResults, score]);
 
-  // Generate quiz questions
-  const generateQuiz = async (numQuestions = 10, reviewMode = false) => {
+  // Warm the image cache for the flowers the next quiz is likely to use
+  useEffect(() => {
+    if (gameState === 'start') {
+      releaseDisplayUrls(); // No images are shown on the start screen
+      prefetchImages(getSmartQuizFlowers(activeFlowers, 20));
+    }
+  }, [gameState, deckIds, detailFilters, profileId]);
+
+  const handleDeckChange = (ids) => {
+    setDeckIds(ids);
+    setSelectedDeckIds(ids);
+  };
+
+  const handleDifficultyChange = (difficulty) => {
+    setDifficulty(difficulty);
+    setDistractorDifficulty(difficulty);
+  };
+
+  // Generate quiz questions (retryFlowers: quiz exactly these flowers, e.g. missed ones or a drill;
+  // reverseOnly: every question shows a name and asks for the matching photo)
+  const generateQuiz = async (numQuestions = 10, reviewMode = false, retryFlowers = null, { reverseOnly = false } = {}) => {
     setGameState('loading');
     setLoadingProgress(0);
     setIsReviewMode(reviewMode);
+    setQuestionResults([]);
 
     // Select flowers based on mode
     let selected;
-    if (reviewMode) {
-      const reviewFlowers = getFlowersNeedingReview(flowers);
+    if (retryFlowers) {
+      selected = retryFlowers.slice(0, numQuestions);
+    } else if (reviewMode) {
+      const reviewFlowers = getFlowersNeedingReview(activeFlowers);
       if (reviewFlowers.length === 0) {
         alert('No flowers need review! Great job!');
         setGameState('start');
@@ -44,44 +139,96 @@ function App() {
       }
       selected = reviewFlowers.slice(0, Math.min(numQuestions, reviewFlowers.length));
     } else {
-      // Use smart 4-tier selection algorithm
-      selected = getSmartQuizFlowers(flowers, numQuestions);
+      // Use spaced-repetition schedule to pick due flowers
+      selected = getSmartQuizFlowers(activeFlowers, numQuestions);
+    }
+
+    if (selected.length === 0) {
+      alert('No flowers match the selected decks and filters.');
+      setGameState('start');
+      return;
     }
 
     const questions = [];
+    const confusedPairs = getConfusedPairs(flowers, { minCount: 1 });
+    const distractorOptions = { difficulty: distractorDifficulty, activeFlowers, confusedPairs };
 
     console.log('🌸 Generating quiz with flowers:', selected.map(f => f.scientific));
 
-    for (let i = 0; i < selected.length; i++) {
-      const flower = selected[i];
-      const imageUrl = await fetchFlowerImageSmart(flower);
-      const progress = getFlowerProgress(flower.scientific);
+    // Decide up front which flowers get a name → photo question, so the
+    // photos of their distractors load along with everything else
+    const plans = selected.map(flower => {
+      const progress = getFlowerProgress(flower.id);
+      const reverse = reverseOnly || (
+        progress.stage !== MasteryStage.FLASHCARD && Math.random() < REVERSE_QUESTION_SHARE
+      );
+      const candidates = reverse
+        ? pickDistractors(flower, flowers, { ...distractorOptions, count: REVERSE_CANDIDATES }).map(d => d.flower)
+        : [];
+      return { flower, progress, candidates };
+    });
+
+    // Load all images in parallel (cached images resolve instantly)
+    const imageFlowers = [...new Map(
+      plans.flatMap(plan => [plan.flower, ...plan.candidates]).map(flower => [flower.id, flower])
+    ).values()];
+    const images = await getFlowerImages(imageFlowers, {
+      onProgress: (done, total) => setLoadingProgress(Math.round((done / total) * 100))
+    });
+    const imagesById = new Map(imageFlowers.map((flower, i) => [flower.id, images[i]]));
+
+    for (const { flower, progress, candidates } of plans) {
+      const image = imagesById.get(flower.id);
       const stage = progress.stage;
 
       console.log(`Loading ${flower.scientific}:`, {
         stage,
-        stageCorrectCount: progress.stageCorrectCount,
+        interval: progress.interval,
+        dueDate: progress.dueDate,
         correctCount: progress.correctCount,
         incorrectCount: progress.incorrectCount
       });
 
       let questionData = {
         flower,
-        imageUrl,
+        image,
+        imagePinned: !!image && isImagePinned(flower.id, image),
         stage
-        // Note: stageCorrectCount is NOT stored here - it's fetched dynamically to ensure accuracy
+        // Note: schedule data is NOT stored here - it's fetched dynamically to ensure accuracy
       };
 
-      // Generate question based on mastery stage
-      if (stage === MasteryStage.FLASHCARD) {
+      // Name → photo needs a photo of the flower and three different photos of other flowers
+      const imageOptions = [];
+      if (image) {
+        const usedSrcs = new Set([image.src]);
+        candidates.forEach(candidate => {
+          const candidateImage = imagesById.get(candidate.id);
+          if (imageOptions.length < 3 && candidateImage && !usedSrcs.has(candidateImage.src)) {
+            usedSrcs.add(candidateImage.src);
+            imageOptions.push({ flowerId: candidate.id, image: candidateImage, isCorrect: false });
+          }
+        });
+      }
+
+      // Generate question based on mastery stage (or name → photo when chosen above)
+      if (imageOptions.length === 3) {
+        // Show a name and pick its photo - the scientific name once the flower has reached that stage
+        questionData.type = 'reverse';
+        questionData.showScientific = STAGE_ORDER.indexOf(stage) >= STAGE_ORDER.indexOf(MasteryStage.SCIENTIFIC_NAME);
+        questionData.promptName = questionData.showScientific
+          ? flower.scientific
+          : flower.common[Math.floor(Math.random() * flower.common.length)];
+        questionData.options = [
+          { flowerId: flower.id, image, isCorrect: true },
+          ...imageOptions
+        ].sort(() => Math.random() - 0.5);
+      } else if (stage === MasteryStage.FLASHCARD) {
         // Flashcard - just show image and reveal answer
         questionData.type = 'flashcard';
       } else if (stage === MasteryStage.MULTIPLE_CHOICE) {
-        // Multiple choice question
-        const otherFlowers = flowers
-          .filter(f => f.scientific !== flower.scientific)
-          .sort(() => Math.random() - 0.5)
-          .slice(0, 3);
+        // Multiple choice question - plausible distractors for the chosen difficulty
+        questionData.type = 'mc';
+        const distractors = pickDistractors(flower, flowers, distractorOptions);
 
         // Randomly select from ALL common names for variety
         const getRandomCommonName = (flower) => {
@@ -92,10 +239,8 @@ function App() {
         const correctName = getRandomCommonName(flower);
 
         const options = [
-          { text: correctName, isCorrect: true },
-          { text: getRandomCommonName(otherFlowers[0]), isCorrect: false },
-          { text: getRandomCommonName(otherFlowers[1]), isCorrect: false },
-          { text: getRandomCommonName(otherFlowers[2]), isCorrect: false }
+          { text: correctName, isCorrect: true, flowerId: flower.id },
+          ...distractors.map(d => ({ text: d.name, isCorrect: false, flowerId: d.flower.id }))
         ].sort(() => Math.random() - 0.5);
 
         questionData.options = options;
@@ -117,7 +262,6 @@ function App() {
       }
 
       questions.push(questionData);
-      setLoadingProgress(Math.round(((i + 1) / selected.length) * 100));
     }
 
     setQuizQuestions(questions);
@@ -126,6 +270,32 @@ function App() {
     setGameState('quiz');
   };
 
+  // Pick up the saved quiz at its first unanswered question
+  const handleResumeQuiz = async () => {
+    setGameState('loading');
+    setLoadingProgress(0);
+
+    const session = await loadQuizSession(flowers);
+    if (!session) {
+      alert('The saved quiz could not be resumed.');
+      setGameState('start');
+      return;
+    }
+
+    setQuizQuestions(session.questions);
+    setQuestionResults(session.results);
+    setScore(session.score);
+    setIsReviewMode(session.isReviewMode);
+    setCurrentQuestion(session.results.length);
+    setSelectedAnswer(null);
+    setTextAnswer('');
+    setScientificAnswer('');
+    setAnswerGrades(null);
+    setShowFeedback(false);
+    setFlashcardRevealed(false);
+    setGameState('quiz');
+  };
+
   // Reload the current question's image
   const reloadCurrentImage = async () => {
     if (isReloadingImage) return; // Prevent multiple simultaneous reloads
@@ -134,13 +304,14 @@ function App() {
 
     try {
       const currentQ = quizQuestions[currentQuestion];
-      const newImageUrl = await fetchFlowerImageSmart(currentQ.flower);
+      const newImage = await getFlowerImage(currentQ.flower, { refresh: true });
 
       // Update the current question with the new image
       const updatedQuestions = [...quizQuestions];
       updatedQuestions[currentQuestion] = {
         ...currentQ,
-        imageUrl: newImageUrl
+        image: newImage,
+        imagePinned: !!newImage && isImagePinned(currentQ.flower.id, newImage)
       };
 
       setQuizQuestions(updatedQuestions);
@@ -152,93 +323,197 @@ function App() {
     }
   };
 
+  // Report the current image as wrong/unhelpful and never show it again
+  const reportCurrentImage = async () => {
+    const currentQ = quizQuestions[currentQuestion];
+    if (!currentQ.image) return;
+
+    banImage(currentQ.flower.id, currentQ.image);
+    await reloadCurrentImage();
+  };
+
+  // Pin the current image as a known-good photo of this flower
+  const pinCurrentImage = () => {
+    const currentQ = quizQuestions[currentQuestion];
+    if (!currentQ.image) return;
+
+    pinImage(currentQ.flower.id, currentQ.image);
+
+    const updatedQuestions = [...quizQuestions];
+    updatedQuestions[currentQuestion] = { ...currentQ, imagePinned: true };
+    setQuizQuestions(updatedQuestions);
+  };
+
   const handleAnswerSelect = (option) => {
     if (showFeedback) return; // Prevent changing answer after submission
     setSelectedAnswer(option);
   };
 
-  const checkTextAnswer = (userAnswer, currentQ) => {
-    const normalized = userAnswer.trim().toLowerCase();
+  // Common names of every other flower, so ambiguous partial answers ("daisy") are rejected
+  const getOtherCommonNames = (flower) => {
+    return flowers
+      .filter(f => f.id !== flower.id)
+      .flatMap(f => f.common);
+  };
 
-    if (currentQ.type === 'short') {
-      // Check against all common names (fuzzy matching)
-      return currentQ.correctAnswers.some(name =>
-        name.toLowerCase() === normalized ||
-        name.toLowerCase().includes(normalized) ||
-        normalized.includes(name.toLowerCase())
-      );
-    } else if (currentQ.type === 'scientific') {
-      // Exact match for scientific name (case insensitive)
-      return currentQ.correctAnswer.toLowerCase() === normalized;
-    } else if (currentQ.type === 'mastery') {
-      // Check common name (any accepted)
-      return currentQ.correctAnswers.some(name =>
-        name.toLowerCase() === normalized ||
-        name.toLowerCase().includes(normalized) ||
-        normalized.includes(name.toLowerCase())
-      );
+  const gradeTextAnswer = (userAnswer, currentQ) => {
+    if (currentQ.type === 'scientific') {
+      return gradeScientificName(userAnswer, currentQ.correctAnswer);
     }
-    return false;
+    // Short answer and mastery: any accepted common name
+    return gradeCommonName(userAnswer, currentQ.correctAnswers, {
+      otherNames: getOtherCommonNames(currentQ.flower)
+    });
+  };
+
+  // 'correct', 'close', 'partial' or 'incorrect' for styling an answer
+  const getGradeClass = (grade) => {
+    return grade.result === GradeResult.WRONG ? 'incorrect' : grade.result;
+  };
+
+  // Store how the genus and epithet of a typed scientific name scored
+  const recordScientificGrade = (currentQ, grade) => {
+    recordScientificNameParts(currentQ.flower.id, {
+      genus: grade.genus !== GradeResult.WRONG,
+      epithet: grade.epithet === null ? null : grade.epithet !== GradeResult.WRONG
+    });
   };
 
-  const checkScientificAnswer = (userAnswer, currentQ) => {
-    const normalized = userAnswer.trim().toLowerCase();
-    return currentQ.scientificAnswer.toLowerCase() === normalized;
+  // Get current progress for a flower
+  const getCurrentProgress = (flowerId) => {
+    return progress[flowerId] || getFlowerProgress(flowerId);
   };
 
-  // Get current progress for a flower (fetches live data from localStorage)
-  const getCurrentProgress = (scientificName) => {
-    return getFlowerProgress(scientificName);
+  // The other flower a wrong typed answer names, if any
+  const findConfusedFlower = (currentQ, grades) => {
+    const others = flowers.filter(f => f.id !== currentQ.flower.id);
+    if (grades.common?.result === GradeResult.WRONG) {
+      return identifyFlower(textAnswer, others);
+    }
+    if (grades.scientific?.result === GradeResult.WRONG) {
+      const typed = currentQ.type === 'mastery' ? scientificAnswer : textAnswer;
+      return identifyFlower(typed, others, { scientific: true });
+    }
+    return null;
+  };
+
+  // Append the answer to the attempt log and this quiz's results
+  const recordOutcome = (currentQ, answer, result, updatedProgress, confusedWith = null) => {
+    logAttempt({
+      flower: currentQ.flower.id,
+      type: currentQ.type,
+      stage: currentQ.stage,
+      stageAfter: updatedProgress.stage,
+      answer,
+      result,
+      confusedWith,
+      responseMs: questionShownAt.current ? Date.now() - questionShownAt.current : null
+    });
+
+    const stageChange = STAGE_ORDER.indexOf(updatedProgress.stage) - STAGE_ORDER.indexOf(currentQ.stage);
+    setQuestionResults(results => [...results, {
+      question: currentQ,
+      answer,
+      result,
+      stageAfter: updatedProgress.stage,
+      leveledUp: stageChange > 0,
+      demoted: stageChange < 0,
+      flagged: updatedProgress.flaggedForReview,
+      confusedWith: flowers.find(f => f.id === confusedWith) || null
+    }]);
   };
 
   const handleSubmitAnswer = () => {
     const currentQ = quizQuestions[currentQuestion];
-    let isCorrect = false;
 
     // Flashcard - auto-credit for just viewing
     if (currentQ.type === 'flashcard') {
       if (!flashcardRevealed) return; // Must reveal first
-      isCorrect = true; // Always correct for flashcards
       setShowFeedback(true);
       setScore(score + 1);
-      recordCorrectAnswer(currentQ.flower.scientific);
+      const updatedProgress = recordCorrectAnswer(currentQ.flower.id);
+      recordOutcome(currentQ, null, 'correct', updatedProgress);
       return;
     }
 
     // Check answer based on question type
-    if (currentQ.stage === MasteryStage.MULTIPLE_CHOICE) {
+    let result;
+    let answer;
+    let confusedFlower = null; // The flower a wrong answer named instead
+    if (currentQ.type === 'mc' || currentQ.type === 'reverse') {
       if (!selectedAnswer) return;
-      isCorrect = selectedAnswer.isCorrect;
+      const pickedFlower = flowers.find(f => f.id === selectedAnswer.flowerId) || null;
+      result = selectedAnswer.isCorrect ? 'correct' : 'incorrect';
+      // A picked photo is logged as the name of the flower it shows
+      answer = currentQ.type === 'reverse' ? pickedFlower?.common[0] ?? null : selectedAnswer.text;
+      if (!selectedAnswer.isCorrect) {
+        confusedFlower = pickedFlower;
+      }
     } else if (currentQ.type === 'mastery') {
       // Must get BOTH common name and scientific name correct
       if (!textAnswer.trim() || !scientificAnswer.trim()) return;
-      const commonCorrect = checkTextAnswer(textAnswer, currentQ);
-      const scientificCorrect = checkScientificAnswer(scientificAnswer, currentQ);
-      isCorrect = commonCorrect && scientificCorrect;
+      const grades = {
+        common: gradeTextAnswer(textAnswer, currentQ),
+        scientific: gradeScientificName(scientificAnswer, currentQ.scientificAnswer)
+      };
+      recordScientificGrade(currentQ, grades.scientific);
+      setAnswerGrades(grades);
+      result = getGradesResult(grades);
+      answer = { common: textAnswer.trim(), scientific: scientificAnswer.trim() };
+      confusedFlower = findConfusedFlower(currentQ, grades);
     } else {
       // Text-based answer (short or scientific)
       if (!textAnswer.trim()) return;
-      isCorrect = checkTextAnswer(textAnswer, currentQ);
+      const grade = gradeTextAnswer(textAnswer, currentQ);
+      const grades = currentQ.type === 'scientific' ? { scientific: grade } : { common: grade };
+      if (currentQ.type === 'scientific') {
+        recordScientificGrade(currentQ, grade);
+      }
+      setAnswerGrades(grades);
+      result = getGradesResult(grades);
+      answer = textAnswer.trim();
+      confusedFlower = findConfusedFlower(currentQ, grades);
     }
 
     setShowFeedback(true);
 
-    // Record progress
-    if (isCorrect) {
+    // Record progress - misspelled answers count, but as a harder recall.
+    // A half-right scientific name earns half a point and comes back for review.
+    let updatedProgress;
+    if (result === 'correct' || result === 'close') {
       setScore(score + 1);
-      const updatedProgress = recordCorrectAnswer(currentQ.flower.scientific);
+      updatedProgress = recordCorrectAnswer(
+        currentQ.flower.id,
+        result === 'close' ? ReviewQuality.HARD : ReviewQuality.GOOD
+      );
       console.log(`✅ Correct answer for ${currentQ.flower.scientific}:`, {
         stage: updatedProgress.stage,
-        stageCorrectCount: updatedProgress.stageCorrectCount,
+        interval: updatedProgress.interval,
+        dueDate: updatedProgress.dueDate,
         totalCorrect: updatedProgress.correctCount
       });
     } else {
-      const updatedProgress = recordIncorrectAnswer(currentQ.flower.scientific);
+      if (result === 'partial') {
+        setScore(score + 0.5);
+      }
+      updatedProgress = recordIncorrectAnswer(currentQ.flower.id);
       console.log(`❌ Incorrect answer for ${currentQ.flower.scientific}:`, {
         stage: updatedProgress.stage,
         flaggedForReview: updatedProgress.flaggedForReview
       });
     }
+
+    recordOutcome(currentQ, answer, result, updatedProgress, confusedFlower?.id ?? null);
+  };
+
+  // Quiz the most confused pairs back to back
+  const handleConfusionDrill = () => {
+    const drillFlowers = getConfusionDrillFlowers(activeFlowers, 10);
+    if (drillFlowers.length === 0) {
+      alert('No flowers have been mixed up yet. Keep quizzing!');
+      return;
+    }
+    generateQuiz(drillFlowers.length, false, drillFlowers);
   };
 
   const handleNextQuestion = () => {
@@ -247,6 +522,7 @@ function App() {
       setSelectedAnswer(null);
       setTextAnswer('');
       setScientificAnswer('');
+      setAnswerGrades(null);
       setShowFeedback(false);
       setFlashcardRevealed(false);
     } else {
@@ -262,6 +538,8 @@ function App() {
     setSelectedAnswer(null);
     setTextAnswer('');
     setScientificAnswer('');
+    setAnswerGrades(null);
+    setQuestionResults([]);
     setShowFeedback(false);
     setFlashcardRevealed(false);
   };
@@ -271,9 +549,37 @@ function App() {
   };
 
   const handleShowFlashcards = () => {
+    if (activeFlowers.length === 0) {
+      alert('No flowers match the selected decks and filters.');
+      return;
+    }
     setGameState('flashcards');
   };
 
+  const handleShowEditor = () => {
+    setGameState('editor');
+  };
+
+  const handleShowExam = () => {
+    setGameState('exam');
+  };
+
+  const handleShowClass = () => {
+    setGameState('class');
+  };
+
+  // Describe when the flower comes back, e.g. "in 3 days"
+  const getNextReviewText = (flowerId) => {
+    const { interval } = getCurrentProgress(flowerId);
+    if (!interval) return 'later this session';
+    return interval === 1 ? 'in 1 day' : `in ${interval} days`;
+  };
+
+  // True if the answer just recorded moved the flower to a new stage
+  const hasLeveledUp = (currentQ) => {
+    return getCurrentProgress(currentQ.flower.id).stage !== currentQ.stage;
+  };
+
   const getStageBadgeText = (stage) => {
     switch (stage) {
       case MasteryStage.FLASHCARD:
@@ -300,19 +606,128 @@ function App() {
       return 'Type the scientific name of this flower:';
     } else if (currentQ.type === 'mastery') {
       return 'Type BOTH the common name AND scientific name:';
+    } else if (currentQ.type === 'reverse') {
+      return 'Which photo shows this flower?';
     } else {
       return 'What flower is this?';
     }
   };
 
+  // Overall result of the submitted answer (see getGradesResult)
+  const getFeedbackResult = (currentQ) => {
+    if (currentQ.type === 'flashcard') return 'correct';
+    if (currentQ.type === 'mc' || currentQ.type === 'reverse') {
+      return selectedAnswer.isCorrect ? 'correct' : 'incorrect';
+    }
+    return getGradesResult(answerGrades);
+  };
+
+  // Correct and misspelled answers both earn credit
+  const isCreditedResult = (result) => result === 'correct' || result === 'close';
+
+  // Show the correct spelling of any misspelled (but credited) answers
+  const renderSpellingNotice = () => {
+    const closeGrades = Object.values(answerGrades || {}).filter(grade => grade.result === GradeResult.CLOSE);
+    if (closeGrades.length === 0) return null;
+
+    return (
+      <p className="spelling-notice">
+        Close — check spelling: {closeGrades.map(grade => grade.matched).join(', ')}
+      </p>
+    );
+  };
+
+  // Explain which part of a binomial was wrong and how binomials are capitalized
+  const renderScientificNotice = (currentQ) => {
+    const grade = answerGrades?.scientific;
+    if (!grade || grade.result === GradeResult.WRONG) return null;
+
+    const scientificName = currentQ.type === 'mastery' ? currentQ.scientificAnswer : currentQ.correctAnswer;
+    const { genus, epithet } = splitBinomial(scientificName);
+
+    return (
+      <>
+        {grade.result === GradeResult.PARTIAL && (
+          <p className="partial-notice">
+            {grade.genus === GradeResult.WRONG
+              ? `Species epithet right, but the genus is ${genus}.`
+              : `Genus right, but the species epithet is ${epithet}.`}
+            {' '}Half a point.
+          </p>
+        )}
+        {!grade.capitalizationOk && (
+          <p className="capitalization-tip">
+            {epithet
+              ? `Tip: capitalize the genus and write the epithet in lowercase — ${genus} ${epithet}.`
+              : `Tip: genus names start with a capital letter — ${genus}.`}
+          </p>
+        )}
+      </>
+    );
+  };
+
+  // Answer as shown in the results review
+  const formatGivenAnswer = (outcome) => {
+    if (outcome.question.type === 'flashcard') return 'Viewed';
+    if (outcome.question.type === 'mastery') return `${outcome.answer.common} / ${outcome.answer.scientific}`;
+    if (outcome.question.type === 'reverse') return `Photo of ${outcome.answer}`;
+    return outcome.answer;
+  };
+
+  // Correct answer(s) as shown in the results review
+  const formatCorrectAnswer = (question) => {
+    if (question.type === 'scientific') return question.correctAnswer;
+    if (question.type === 'mastery') return `${question.correctAnswers.join(' or ')} / ${question.scientificAnswer}`;
+    if (question.type === 'reverse') return `Photo of ${question.flower.common[0]}`;
+    return question.flower.common.join(' or ');
+  };
+
+  // Flowers missed this quiz (partly right answers count as missed)
+  const getMissedFlowers = () => {
+    const missed = questionResults.filter(outcome => outcome.result === 'incorrect' || outcome.result === 'partial');
+    return [...new Set(missed.map(outcome => outcome.question.flower))];
+  };
+
+  const handleRetryMissed = () => {
+    const missed = getMissedFlowers();
+    generateQuiz(missed.length, false, missed);
+  };
+
   const currentQ = quizQuestions[currentQuestion];
+  const savedSession = gameState === 'start' ? getQuizSessionInfo() : null;
 
   if (gameState === 'dashboard') {
-    return <ProgressDashboard onBack={handleRestartQuiz} />;
+    return <ProgressDashboard onBack={handleRestartQuiz} initialDeckIds={deckIds} onConfusionDrill={handleConfusionDrill} />;
   }
 
   if (gameState === 'flashcards') {
-    return <FlashcardBrowse onBack={handleRestartQuiz} />;
+    return <FlashcardBrowse onBack={handleRestartQuiz} flowers={activeFlowers} />;
+  }
+
+  if (gameState === 'exam') {
+    return (
+      <ExamMode
+        onBack={handleRestartQuiz}
+        flowers={flowers}
+        examFlowers={activeFlowers}
+        distractorDifficulty={distractorDifficulty}
+      />
+    );
+  }
+
+  if (gameState === 'class') {
+    return (
+      <ClassMode
+        onBack={handleRestartQuiz}
+        flowers={flowers}
+        activeFlowers={activeFlowers}
+        distractorDifficulty={distractorDifficulty}
+      />
+    );
+  }
+
+  if (gameState === 'editor') {
+    return <FlowerEditor onBack={handleRestartQuiz} onCatalogChange={setFlowers} />;
   }
 
   return (
@@ -320,10 +735,16 @@ function App() {
       {gameState === 'start' && (
         <div className="start-screen">
           <h1>Floral Quiz</h1>
+          <ProfilePicker />
           <p>Test your knowledge of flowers! Identify the flower in each image.</p>
-          <p className="flower-count">Quiz contains {flowers.length} different flowers</p>
+          <p className="flower-count">Quiz contains {activeFlowers.length} different flowers</p>
           <p className="mastery-info">Progress through stages: Flashcard → Multiple Choice → Short Answer → Scientific Name → Mastery</p>
           <div className="button-group">
+            {savedSession && (
+              <button onClick={handleResumeQuiz} className="btn btn-resume">
+                Resume quiz ({savedSession.answered}/{savedSession.total})
+              </button>
+            )}
             <button onClick={() => generateQuiz(10, false)} className="btn btn-primary">
               Start Quiz (10 questions)
             </button>
@@ -333,20 +754,45 @@ function App() {
             <button onClick={() => generateQuiz(10, true)} className="btn btn-review">
               Review Missed Flowers
             </button>
+            <button onClick={() => generateQuiz(10, false, null, { reverseOnly: true })} className="btn btn-reverse">
+              Name → Photo Quiz
+            </button>
+            <button onClick={handleConfusionDrill} className="btn btn-drill">
+              Drill Mixed-Up Flowers
+            </button>
+            <button onClick={handleShowExam} className="btn btn-exam">
+              Mock Exam
+            </button>
+            <button onClick={handleShowClass} className="btn btn-class">
+              Class
+            </button>
             <button onClick={handleShowFlashcards} className="btn btn-flashcards">
               Browse Flashcards
             </button>
             <button onClick={handleShowDashboard} className="btn btn-dashboard">
               View Progress Dashboard
             </button>
+            <button onClick={handleShowEditor} className="btn btn-editor">
+              Edit Flowers
+            </button>
           </div>
+          <label className="difficulty-picker">
+            Multiple-choice difficulty:{' '}
+            <select value={distractorDifficulty} onChange={(e) => handleDifficultyChange(e.target.value)}>
+              <option value={DistractorDifficulty.EASY}>Easy - random flowers</option>
+              <option value={DistractorDifficulty.MEDIUM}>Medium - some look-alikes</option>
+              <option value={DistractorDifficulty.HARD}>Hard - closest look-alikes</option>
+            </select>
+          </label>
+          <DeckPicker allFlowers={flowers} selectedDeckIds={deckIds} onChange={handleDeckChange} />
+          <QuizFilters flowers={deckFlowers} filters={detailFilters} onChange={setDetailFilters} />
         </div>
       )}
 
       {gameState === 'loading' && (
         <div className="loading-screen">
           <h2>Loading Quiz...</h2>
-          <p>Fetching flower images from Wikipedia</p>
+          <p>Fetching flower images</p>
           <div className="progress-bar">
             <div className="progress-fill" style={{ width: `${loadingProgress}%` }}></div>
           </div>
@@ -368,30 +814,62 @@ function App() {
             <div className="question-header">
               <h2>{getQuestionPrompt(currentQ)}</h2>
               <div className="stage-info">
-                <span className="stage-badge">{getStageBadgeText(currentQ.stage)}</span>
+                <span className="stage-badge">
+                  {currentQ.type === 'reverse' ? '🖼️ Name → Photo' : getStageBadgeText(currentQ.stage)}
+                </span>
                 {currentQ.stage !== MasteryStage.MASTERY && (
                   <span className="stage-progress">
-                    {getCurrentProgress(currentQ.flower.scientific).stageCorrectCount}/2 correct
+                    {getCurrentProgress(currentQ.flower.id).interval || 0}/{STAGE_PROMOTION_INTERVAL[currentQ.stage]} day interval to next stage
                   </span>
                 )}
               </div>
             </div>
 
-            {currentQ.imageUrl ? (
+            {currentQ.type === 'reverse' ? (
+              <>
+                <p className={`reverse-prompt ${currentQ.showScientific ? 'scientific' : ''}`}>{currentQ.promptName}</p>
+                <PhotoChoiceGrid
+                  options={currentQ.options}
+                  selected={selectedAnswer}
+                  showFeedback={showFeedback}
+                  getLabel={(option) => flowers.find(f => f.id === option.flowerId)?.common[0]}
+                  onSelect={handleAnswerSelect}
+                />
+              </>
+            ) : currentQ.image ? (
               <div className="image-container">
                 <img
-                  src={currentQ.imageUrl}
+                  src={currentQ.image.src}
                   alt="Flower to identify"
                   className="flower-image"
                 />
-                <button
-                  onClick={reloadCurrentImage}
-                  className="btn-reload-image"
-                  disabled={isReloadingImage || showFeedback}
-                  title="Load a different image for this flower"
-                >
-                  {isReloadingImage ? '🔄 Loading...' : '🔄 Reload Image'}
-                </button>
+                <ImageAttribution image={currentQ.image} />
+                <div className="image-actions">
+                  <button
+                    onClick={reloadCurrentImage}
+                    className="btn-reload-image"
+                    disabled={isReloadingImage || showFeedback}
+                    title="Load a different image for this flower"
+                  >
+                    {isReloadingImage ? '🔄 Loading...' : '🔄 Reload Image'}
+                  </button>
+                  <button
+                    onClick={reportCurrentImage}
+                    className="btn-report-image"
+                    disabled={isReloadingImage}
+                    title="Wrong flower, herbarium sheet or leaves only - never show this image again"
+                  >
+                    🚫 Report Image
+                  </button>
+                  <button
+                    onClick={pinCurrentImage}
+                    className="btn-pin-image"
+                    disabled={isReloadingImage || currentQ.imagePinned}
+                    title="Keep this image in the flower's curated set"
+                  >
+                    {currentQ.imagePinned ? '📌 Pinned' : '📌 Pin as Good'}
+                  </button>
+                </div>
               </div>
             ) : (
               <div className="no-image">
@@ -424,7 +902,7 @@ function App() {
               </div>
             )}
 
-            {currentQ.stage === MasteryStage.MULTIPLE_CHOICE && (
+            {currentQ.type === 'mc' && (
               <div className="options">
                 {currentQ.options.map((option, index) => (
                   <button
@@ -452,7 +930,7 @@ function App() {
                   <input
                     type="text"
                     className={`text-input ${
-                      showFeedback ? (checkTextAnswer(textAnswer, currentQ) ? 'correct' : 'incorrect') : ''
+                      showFeedback ? getGradeClass(answerGrades.common) : ''
                     }`}
                     value={textAnswer}
                     onChange={(e) => setTextAnswer(e.target.value)}
@@ -466,7 +944,7 @@ function App() {
                   <input
                     type="text"
                     className={`text-input ${
-                      showFeedback ? (checkScientificAnswer(scientificAnswer, currentQ) ? 'correct' : 'incorrect') : ''
+                      showFeedback ? getGradeClass(answerGrades.scientific) : ''
                     }`}
                     value={scientificAnswer}
                     onChange={(e) => setScientificAnswer(e.target.value)}
@@ -487,7 +965,7 @@ function App() {
                 <input
                   type="text"
                   className={`text-input ${
-                    showFeedback ? (checkTextAnswer(textAnswer, currentQ) ? 'correct' : 'incorrect') : ''
+                    showFeedback ? getGradeClass(answerGrades.common || answerGrades.scientific) : ''
                   }`}
                   value={textAnswer}
                   onChange={(e) => setTextAnswer(e.target.value)}
@@ -501,37 +979,30 @@ function App() {
                   autoFocus
                 />
                 {currentQ.type === 'scientific' && (
-                  <p className="hint">Hint: Use italics format (Genus species)</p>
+                  <p className="hint">Hint: Capitalized genus, lowercase species (Genus species)</p>
                 )}
               </div>
             )}
 
             {showFeedback && (
-              <div className={`feedback ${
-                currentQ.type === 'flashcard' ? 'correct' :
-                currentQ.type === 'mastery' ? (checkTextAnswer(textAnswer, currentQ) && checkScientificAnswer(scientificAnswer, currentQ) ? 'correct' : 'incorrect') :
-                (currentQ.stage === MasteryStage.MULTIPLE_CHOICE ? selectedAnswer.isCorrect : checkTextAnswer(textAnswer, currentQ))
-                  ? 'correct' : 'incorrect'
-              }`}>
+              <div className={`feedback ${getFeedbackResult(currentQ)}`}>
                 {currentQ.type === 'flashcard' ? (
                   <>
                     <p>Flashcard viewed!</p>
                     <p className="progress-info">
-                      Progress: {getCurrentProgress(currentQ.flower.scientific).stageCorrectCount}/2 views in this stage
-                      {getCurrentProgress(currentQ.flower.scientific).stageCorrectCount >= 2 && (
+                      Next review {getNextReviewText(currentQ.flower.id)}
+                      {hasLeveledUp(currentQ) && (
                         <span className="level-up"> → Advancing to Multiple Choice!</span>
                       )}
                     </p>
                   </>
                 ) : currentQ.type === 'mastery' ? (
-                  (checkTextAnswer(textAnswer, currentQ) && checkScientificAnswer(scientificAnswer, currentQ)) ? (
+                  isCreditedResult(getFeedbackResult(currentQ)) ? (
                     <>
                       <p>Perfect! You've mastered this flower!</p>
+                      {renderSpellingNotice()}
                       <p className="progress-info">
-                        Progress: {getCurrentProgress(currentQ.flower.scientific).stageCorrectCount}/2 correct in this stage
-                        {getCurrentProgress(currentQ.flower.scientific).stageCorrectCount >= 2 && (
-                          <span className="level-up"> → Fully Mastered!</span>
-                        )}
+                        Next review {getNextReviewText(currentQ.flower.id)}
                       </p>
                     </>
                   ) : (
@@ -544,22 +1015,25 @@ function App() {
                       <p className="flagged-notice">This flower has been flagged for review.</p>
                     </>
                   )
-                ) : (currentQ.stage === MasteryStage.MULTIPLE_CHOICE ? selectedAnswer.isCorrect : checkTextAnswer(textAnswer, currentQ)) ? (
+                ) : isCreditedResult(getFeedbackResult(currentQ)) ? (
                   <>
                     <p>Correct! Well done!</p>
+                    {renderSpellingNotice()}
                     <p className="progress-info">
-                      Progress: {getCurrentProgress(currentQ.flower.scientific).stageCorrectCount}/2 correct in this stage
-                      {getCurrentProgress(currentQ.flower.scientific).stageCorrectCount >= 2 && currentQ.stage !== MasteryStage.MASTERY && (
+                      Next review {getNextReviewText(currentQ.flower.id)}
+                      {hasLeveledUp(currentQ) && (
                         <span className="level-up"> → Level Up!</span>
                       )}
                     </p>
                   </>
                 ) : (
                   <>
-                    <p>Incorrect. The correct answer{currentQ.stage === MasteryStage.MULTIPLE_CHOICE && currentQ.allCorrectAnswers?.length > 1 ? 's are' : ' is'}:</p>
+                    <p>{getFeedbackResult(currentQ) === 'partial' ? 'Partly right.' : 'Incorrect.'} The correct answer{currentQ.type === 'mc' && currentQ.allCorrectAnswers.length > 1 ? 's are' : ' is'}:</p>
                     {currentQ.type === 'short' ? (
                       <p className="correct-answer">{currentQ.correctAnswers.join(' or ')}</p>
-                    ) : currentQ.stage === MasteryStage.MULTIPLE_CHOICE && currentQ.allCorrectAnswers ? (
+                    ) : currentQ.type === 'reverse' ? (
+                      <p className="correct-answer">{currentQ.flower.common.join(' or ')} (highlighted above)</p>
+                    ) : currentQ.type === 'mc' ? (
                       <p className="correct-answer">{currentQ.allCorrectAnswers.join(' or ')}</p>
                     ) : (
                       <p className="correct-answer">{currentQ.correctAnswer || currentQ.flower.common[0]}</p>
@@ -567,7 +1041,12 @@ function App() {
                     <p className="flagged-notice">This flower has been flagged for review.</p>
                   </>
                 )}
+                {renderScientificNotice(currentQ)}
                 <p className="scientific-name">Scientific name: {currentQ.flower.scientific}</p>
+                {currentQ.flower.notes && (
+                  <p className="flower-notes">{currentQ.flower.notes}</p>
+                )}
+                <FlowerDetails flower={currentQ.flower} compact />
               </div>
             )}
 
@@ -578,7 +1057,7 @@ function App() {
                   disabled={
                     currentQ.type === 'flashcard' ? !flashcardRevealed :
                     currentQ.type === 'mastery' ? (!textAnswer.trim() || !scientificAnswer.trim()) :
-                    currentQ.stage === MasteryStage.MULTIPLE_CHOICE ? !selectedAnswer :
+                    currentQ.type === 'mc' || currentQ.type === 'reverse' ? !selectedAnswer :
                     !textAnswer.trim()
                   }
                   className="btn btn-primary"
@@ -619,9 +1098,61 @@ function App() {
             <p className="low-score">Keep practicing! You'll get better!</p>
           )}
 
-          <button onClick={handleRestartQuiz} className="btn btn-primary">
-            Take Another Quiz
-          </button>
+          <div className="button-group">
+            {getMissedFlowers().length > 0 && (
+              <button onClick={handleRetryMissed} className="btn btn-review">
+                Retry the {getMissedFlowers().length} I Missed
+              </button>
+            )}
+            <button onClick={handleRestartQuiz} className="btn btn-primary">
+              Take Another Quiz
+            </button>
+          </div>
+
+          <div className="results-review">
+            <h2>Question Review</h2>
+            {questionResults.map((outcome, index) => (
+              <div key={index} className={`review-item ${outcome.result}`}>
+                {outcome.question.image ? (
+                  <img src={outcome.question.image.src} alt={outcome.question.flower.common[0]} className="review-image" />
+                ) : (
+                  <div className="review-image review-no-image">No image</div>
+                )}
+                <div className="review-details">
+                  <div className="review-title">
+                    <strong>{index + 1}. {outcome.question.flower.common[0]}</strong>
+                    <em> {outcome.question.flower.scientific}</em>
+                  </div>
+                  <div className="review-stage">{getStageBadgeText(outcome.question.stage)}</div>
+                  <div className="review-result">{RESULT_LABELS[outcome.result]}</div>
+                  {outcome.question.type !== 'flashcard' && (
+                    <>
+                      <div>
+                        Your answer: <span className="review-given">{formatGivenAnswer(outcome)}</span>
+                        {outcome.confusedWith && outcome.question.type !== 'reverse' && (
+                          <span className="review-confused"> (that's {outcome.confusedWith.common[0]})</span>
+                        )}
+                      </div>
+                      {outcome.result !== 'correct' && (
+                        <div>Correct: <span className="review-correct">{formatCorrectAnswer(outcome.question)}</span></div>
+                      )}
+                    </>
+                  )}
+                  <div className="review-events">
+                    {outcome.leveledUp && (
+                      <span className="review-event level-up-event">⬆ Advanced to {getStageBadgeText(outcome.stageAfter)}</span>
+                    )}
+                    {outcome.demoted && (
+                      <span className="review-event demoted-event">⬇ Back to {getStageBadgeText(outcome.stageAfter)}</span>
+                    )}
+                    {outcome.flagged && (
+                      <span className="review-event flagged-event">🚩 Flagged for review</span>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
         </div>
       )}
     </div>
@@ -0,0 +1,78 @@
+import { useState, useRef } from 'react';
+import { downloadBackup, parseBackup, previewBackup, restoreBackup } from './backupService';
+import './BackupControls.css';
+
+function BackupControls() {
+  const [pending, setPending] = useState(null); // { backup, preview } awaiting confirmation
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const fileInput = useRef(null);
+
+  const handleFileChosen = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+
+    setError('');
+    setMessage('');
+    try {
+      const backup = parseBackup(await file.text());
+      setPending({ backup, preview: previewBackup(backup) });
+    } catch (err) {
+      setPending(null);
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = (mode) => {
+    if (mode === 'replace' && !confirm('Replace all of this profile\'s progress with the backup?')) {
+      return;
+    }
+    restoreBackup(pending.backup, mode);
+    setPending(null);
+    setMessage(mode === 'replace' ? 'Backup restored.' : 'Backup merged with this profile\'s progress.');
+  };
+
+  const preview = pending?.preview;
+
+  return (
+    <div className="backup-controls">
+      <button onClick={downloadBackup} className="btn btn-secondary">Export Backup</button>
+      <button onClick={() => fileInput.current.click()} className="btn btn-secondary">Import Backup</button>
+      <input
+        ref={fileInput}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleFileChosen}
+        hidden
+      />
+
+      {error && <p className="backup-error">{error}</p>}
+      {message && <p className="backup-message">{message}</p>}
+
+      {preview && (
+        <div className="backup-preview">
+          <h3>Backup from {new Date(preview.exportedAt).toLocaleString()}</h3>
+          <ul>
+            <li>{preview.flowers} flowers with progress ({preview.newFlowers} not in this profile)</li>
+            <li>{preview.newerInBackup} flowers are further along in the backup, {preview.newerHere} in this profile</li>
+            <li>{preview.attempts} answers in the history</li>
+            <li>{preview.decks} custom decks</li>
+            <li>{preview.exams} mock exam results</li>
+          </ul>
+          <p className="backup-hint">
+            Merge keeps, for each flower, whichever record is further along (or more recent),
+            and combines answer history and decks. Replace discards this profile's progress.
+          </p>
+          <div className="backup-actions">
+            <button onClick={() => setPending(null)} className="btn btn-secondary">Cancel</button>
+            <button onClick={() => handleRestore('replace')} className="btn btn-danger">Replace</button>
+            <button onClick={() => handleRestore('merge')} className="btn btn-primary">Merge</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BackupControls;
@@ -0,0 +1,431 @@
+import { useState, useEffect } from 'react';
+import ExamMode from './ExamMode';
+import { DEFAULT_SERVER_URL } from './serverApi';
+import { ExamFormat, EXAM_FORMAT_LABELS } from './examService';
+import {
+  getClassConnection,
+  joinClass,
+  leaveClass,
+  fetchAssignments,
+  validateAssignment,
+  publishAssignment,
+  deleteAssignment,
+  submitAssignment,
+  fetchRoster,
+  getBestSubmissions,
+  buildClassRoster,
+  isPastDue
+} from './classService';
+import './ClassMode.css';
+
+const EMPTY_ASSIGNMENT = { title: '', format: ExamFormat.COMMON_NAME, dueDate: '', requiredPercent: 80 };
+
+/**
+ * Format a due date for display
+ * @param {string|null} dueDate - YYYY-MM-DD
+ * @returns {string} Local date, or "No due date"
+ */
+function formatDueDate(dueDate) {
+  return dueDate ? new Date(`${dueDate}T00:00`).toLocaleDateString() : 'No due date';
+}
+
+// Classroom mode: instructors publish assignments and see the class roster,
+// students take assignments and hand their results in to the class server
+function ClassMode({ flowers, activeFlowers, distractorDifficulty, onBack }) {
+  const [connection, setConnection] = useState(getClassConnection);
+  const [joinForm, setJoinForm] = useState({ serverUrl: DEFAULT_SERVER_URL, token: '' });
+  const [classData, setClassData] = useState(null); // { assignments, submissions }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [taking, setTaking] = useState(null); // Assignment a student is taking
+  const [draft, setDraft] = useState(EMPTY_ASSIGNMENT);
+  const [draftErrors, setDraftErrors] = useState([]);
+  const [rosterFilter, setRosterFilter] = useState('all'); // 'all' or an assignment id
+
+  const isInstructor = connection?.role === 'instructor';
+  const flowerById = new Map(flowers.map(flower => [flower.id, flower]));
+
+  const loadClass = async (conn = connection) => {
+    if (!conn) return;
+    setLoading(true);
+    setError('');
+    try {
+      setClassData(conn.role === 'instructor' ? await fetchRoster(conn) : await fetchAssignments(conn));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadClass();
+  }, [connection]);
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      setConnection(await joinClass(joinForm.serverUrl, joinForm.token));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLeave = () => {
+    if (confirm('Leave this class on this profile? Results already handed in stay with your instructor.')) {
+      leaveClass();
+      setConnection(null);
+      setClassData(null);
+    }
+  };
+
+  const handlePublish = async () => {
+    const assignment = {
+      title: draft.title.trim(),
+      flowerIds: activeFlowers.map(flower => flower.id),
+      format: draft.format,
+      dueDate: draft.dueDate || null,
+      requiredPercent: draft.requiredPercent
+    };
+    const problems = validateAssignment(assignment);
+    setDraftErrors(problems);
+    if (problems.length > 0) return;
+
+    try {
+      await publishAssignment(connection, assignment);
+      setDraft(EMPTY_ASSIGNMENT);
+      loadClass();
+    } catch (err) {
+      setDraftErrors([err.message]);
+    }
+  };
+
+  const handleDelete = async (assignment) => {
+    if (!confirm(`Withdraw "${assignment.title}"? Students' results for it are deleted too.`)) return;
+    try {
+      await deleteAssignment(connection, assignment.id);
+      if (rosterFilter === assignment.id) setRosterFilter('all');
+      loadClass();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleFinishTaking = () => {
+    setTaking(null);
+    loadClass();
+  };
+
+  if (taking) {
+    return (
+      <ExamMode
+        flowers={flowers}
+        // Flowers missing from this catalog are handed in as unanswered, not dropped
+        examFlowers={taking.flowerIds.map(id => flowerById.get(id)).filter(Boolean)}
+        distractorDifficulty={distractorDifficulty}
+        assignment={taking}
+        onSubmit={(record) => submitAssignment(connection, taking, record)}
+        onBack={handleFinishTaking}
+      />
+    );
+  }
+
+  const header = (
+    <div className="class-header">
+      <div>
+        <h1>Class</h1>
+        {connection && (
+          <p className="class-identity">
+            {isInstructor ? 'Instructor' : `Student: ${connection.studentName}`} · {connection.serverUrl}
+          </p>
+        )}
+      </div>
+      <div className="class-header-actions">
+        {connection && <button onClick={() => loadClass()} className="btn btn-secondary" disabled={loading}>Refresh</button>}
+        {connection && <button onClick={handleLeave} className="btn btn-secondary">Leave Class</button>}
+        <button onClick={onBack} className="btn btn-secondary">Back to Menu</button>
+      </div>
+    </div>
+  );
+
+  if (!connection) {
+    return (
+      <div className="class-container">
+        {header}
+        <p className="class-intro">
+          Join your class on the class server (<code>npm run sync-server</code> with class tokens).
+          Your instructor gives you the server address and your own student token. Instructors join
+          with an instructor token.
+        </p>
+        <form className="class-join" onSubmit={handleJoin}>
+          <label>
+            Server address
+            <input
+              type="url"
+              value={joinForm.serverUrl}
+              onChange={(e) => setJoinForm({ ...joinForm, serverUrl: e.target.value })}
+              required
+            />
+          </label>
+          <label>
+            Class token
+            <input
+              type="password"
+              value={joinForm.token}
+              onChange={(e) => setJoinForm({ ...joinForm, token: e.target.value })}
+              autoComplete="off"
+              required
+            />
+          </label>
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            {loading ? 'Joining...' : 'Join Class'}
+          </button>
+        </form>
+        {error && <p className="class-error">{error}</p>}
+      </div>
+    );
+  }
+
+  const assignments = classData?.assignments ?? [];
+
+  if (!isInstructor) {
+    const best = new Map(getBestSubmissions(classData?.submissions ?? []).map(s => [s.assignmentId, s]));
+
+    return (
+      <div className="class-container">
+        {header}
+        {error && <p className="class-error">{error}</p>}
+        <h2>Assignments</h2>
+        {assignments.length === 0 ? (
+          <p className="class-empty">{loading ? 'Loading...' : 'No assignments yet.'}</p>
+        ) : (
+          <table className="class-table">
+            <thead>
+              <tr>
+                <th>Assignment</th>
+                <th>Format</th>
+                <th>Flowers</th>
+                <th>Due</th>
+                <th>Your best</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {assignments.map(assignment => {
+                const submission = best.get(assignment.id);
+                return (
+                  <tr key={assignment.id}>
+                    <td><strong>{assignment.title}</strong></td>
+                    <td>{EXAM_FORMAT_LABELS[assignment.format]}</td>
+                    <td>{assignment.flowerIds.length}</td>
+                    <td className={isPastDue(assignment) && !submission ? 'class-overdue' : ''}>
+                      {formatDueDate(assignment.dueDate)}
+                    </td>
+                    <td>
+                      {submission ? (
+                        <span className={submission.passed ? 'exam-pass' : 'exam-fail'}>
+                          {submission.percent}% {submission.passed ? 'Pass' : `(need ${assignment.requiredPercent}%)`}
+                        </span>
+                      ) : (
+                        `Not done (need ${assignment.requiredPercent}%)`
+                      )}
+                    </td>
+                    <td>
+                      <button onClick={() => setTaking(assignment)} className="btn btn-primary btn-small">
+                        {submission ? 'Try Again' : 'Start'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    );
+  }
+
+  const submissions = classData?.submissions ?? [];
+  const overview = buildClassRoster(assignments, submissions, flowers);
+  const rosterAssignments = rosterFilter === 'all' ? assignments : assignments.filter(a => a.id === rosterFilter);
+  const roster = rosterFilter === 'all' ? overview : buildClassRoster(rosterAssignments, submissions, flowers);
+  const struggling = roster.flowers.filter(row => row.struggling);
+
+  return (
+    <div className="class-container">
+      {header}
+      {error && <p className="class-error">{error}</p>}
+
+      <section className="class-section">
+        <h2>Publish an Assignment</h2>
+        <p className="class-hint">
+          The assignment asks about the {activeFlowers.length} flowers in the decks and filters selected on the
+          start screen, each once, with no time limit.
+        </p>
+        <div className="exam-settings">
+          <label>
+            Title
+            <input
+              type="text"
+              value={draft.title}
+              onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+              maxLength={100}
+              placeholder="e.g. Week 3: spring bulbs"
+            />
+          </label>
+          <label>
+            Question format
+            <select value={draft.format} onChange={(e) => setDraft({ ...draft, format: e.target.value })}>
+              {Object.values(ExamFormat).map(format => (
+                <option key={format} value={format}>{EXAM_FORMAT_LABELS[format]}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Due date
+            <input type="date" value={draft.dueDate} onChange={(e) => setDraft({ ...draft, dueDate: e.target.value })} />
+          </label>
+          <label>
+            Required score (%)
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={draft.requiredPercent}
+              onChange={(e) => setDraft({ ...draft, requiredPercent: Number(e.target.value) })}
+            />
+          </label>
+        </div>
+        {draftErrors.length > 0 && (
+          <ul className="exam-errors">
+            {draftErrors.map(problem => <li key={problem}>{problem}</li>)}
+          </ul>
+        )}
+        <button onClick={handlePublish} className="btn btn-primary">Publish</button>
+      </section>
+
+      <section className="class-section">
+        <h2>Assignments</h2>
+        {assignments.length === 0 ? (
+          <p className="class-empty">{loading ? 'Loading...' : 'No assignments published yet.'}</p>
+        ) : (
+          <table className="class-table">
+            <thead>
+              <tr>
+                <th>Assignment</th>
+                <th>Format</th>
+                <th>Flowers</th>
+                <th>Due</th>
+                <th>Handed in</th>
+                <th>Passed</th>
+                <th>Average</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {overview.assignments.map(summary => (
+                <tr key={summary.assignment.id}>
+                  <td><strong>{summary.assignment.title}</strong></td>
+                  <td>{EXAM_FORMAT_LABELS[summary.assignment.format]}</td>
+                  <td>{summary.assignment.flowerIds.length}</td>
+                  <td>{formatDueDate(summary.assignment.dueDate)}</td>
+                  <td>{summary.submitted}</td>
+                  <td>{summary.passed} (≥{summary.assignment.requiredPercent}%)</td>
+                  <td>{summary.averagePercent === null ? '—' : `${summary.averagePercent}%`}</td>
+                  <td>
+                    <button onClick={() => handleDelete(summary.assignment)} className="btn-class-delete">Withdraw</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="class-section">
+        <div className="class-roster-header">
+          <h2>Class Roster</h2>
+          <select value={rosterFilter} onChange={(e) => setRosterFilter(e.target.value)}>
+            <option value="all">All assignments</option>
+            {assignments.map(assignment => (
+              <option key={assignment.id} value={assignment.id}>{assignment.title}</option>
+            ))}
+          </select>
+        </div>
+
+        {roster.students.length === 0 ? (
+          <p className="class-empty">No results handed in yet.</p>
+        ) : (
+          <>
+            <table className="class-table">
+              <thead>
+                <tr>
+                  <th>Student</th>
+                  <th>Handed in</th>
+                  <th>Passed</th>
+                  <th>Late</th>
+                  <th>Average</th>
+                </tr>
+              </thead>
+              <tbody>
+                {roster.students.map(row => (
+                  <tr key={row.student}>
+                    <td>{row.student}</td>
+                    <td>{row.submitted} of {rosterAssignments.length}</td>
+                    <td>{row.passed}</td>
+                    <td>{row.late}</td>
+                    <td>{row.averagePercent}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h3 className="class-subheading">Flowers, hardest first</h3>
+            <p className="class-hint">
+              {struggling.length > 0
+                ? `The class gets ${struggling.length} flower${struggling.length === 1 ? '' : 's'} right less than half the time.`
+                : 'The class gets every flower right at least half the time.'}
+              {' '}Each student's best attempt at each assignment counts.
+            </p>
+            <table className="class-table">
+              <thead>
+                <tr>
+                  <th>Flower</th>
+                  <th>Answers</th>
+                  <th>Correct</th>
+                  <th>Success</th>
+                  <th>Missed by</th>
+                </tr>
+              </thead>
+              <tbody>
+                {roster.flowers.map(row => (
+                  <tr key={row.flowerId} className={row.struggling ? 'class-struggling' : ''}>
+                    <td>
+                      {row.flower ? (
+                        <>
+                          <strong>{row.flower.common[0]}</strong> <em>{row.flower.scientific}</em>
+                        </>
+                      ) : (
+                        <em>{row.flowerId} (removed)</em>
+                      )}
+                    </td>
+                    <td>{row.attempts}</td>
+                    <td>{row.correctCount}</td>
+                    <td>{row.successRate}%</td>
+                    <td>{row.studentsMissed.join(', ') || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default ClassMode;
@@ -0,0 +1,96 @@
+import { getConfusedPairs, MIN_CONFUSIONS } from './confusionService';
+import './ConfusionMatrix.css';
+
+const MAX_MATRIX_FLOWERS = 8;
+const MAX_LISTED_PAIRS = 5;
+
+/**
+ * Flowers involved in the most mix-ups, for the matrix axes
+ * @param {Array<Object>} pairs - Confused pairs
+ * @returns {Array} Flowers, most mixed up first
+ */
+function getMatrixFlowers(pairs) {
+  const totals = new Map();
+  pairs.forEach(pair => {
+    [pair.flower, pair.confusedWith].forEach(flower => {
+      totals.set(flower, (totals.get(flower) || 0) + pair.count);
+    });
+  });
+  return [...totals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_MATRIX_FLOWERS)
+    .map(([flower]) => flower);
+}
+
+function ConfusionMatrix({ flowers, onDrill }) {
+  const pairs = getConfusedPairs(flowers);
+
+  if (pairs.length === 0) {
+    return (
+      <div className="confusions">
+        <h2>Mix-ups</h2>
+        <p className="confusions-empty">
+          No flowers mixed up at least {MIN_CONFUSIONS} times yet. Wrong answers that name another flower show up here.
+        </p>
+      </div>
+    );
+  }
+
+  const matrixFlowers = getMatrixFlowers(pairs);
+  const rateOf = (asked, answered) => pairs.find(p => p.flower === asked && p.confusedWith === answered);
+
+  return (
+    <div className="confusions">
+      <div className="confusions-header">
+        <h2>Mix-ups</h2>
+        {onDrill && (
+          <button onClick={onDrill} className="btn btn-drill">Drill Mixed-Up Flowers</button>
+        )}
+      </div>
+
+      <ul className="confusion-list">
+        {pairs.slice(0, MAX_LISTED_PAIRS).map(pair => (
+          <li key={`${pair.flower.id}|${pair.confusedWith.id}`}>
+            You call <strong>{pair.flower.common[0]}</strong> "{pair.confusedWith.common[0]}"{' '}
+            {Math.round(pair.rate * 100)}% of the time ({pair.count} of {pair.attempts})
+          </li>
+        ))}
+      </ul>
+
+      <div className="confusion-matrix-wrapper">
+        <table className="confusion-matrix">
+          <thead>
+            <tr>
+              <th className="corner">Shown ↓ / Answered →</th>
+              {matrixFlowers.map(flower => (
+                <th key={flower.id} title={flower.scientific}>{flower.common[0]}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {matrixFlowers.map(asked => (
+              <tr key={asked.id}>
+                <th title={asked.scientific}>{asked.common[0]}</th>
+                {matrixFlowers.map(answered => {
+                  const pair = asked === answered ? null : rateOf(asked, answered);
+                  return (
+                    <td
+                      key={answered.id}
+                      className={asked === answered ? 'self' : ''}
+                      style={pair ? { backgroundColor: `rgba(233, 30, 99, ${0.15 + pair.rate * 0.85})` } : undefined}
+                      title={pair ? `${pair.count} of ${pair.attempts} answers` : undefined}
+                    >
+                      {pair ? `${Math.round(pair.rate * 100)}%` : ''}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default ConfusionMatrix;
@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import {
+  getDecks,
+  getDeckFlowers,
+  createDeck,
+  updateDeck,
+  deleteDeck
+} from './deckService';
+import './DeckPicker.css';
+
+function DeckPicker({ allFlowers, selectedDeckIds, onChange }) {
+  const [decks, setDecks] = useState(getDecks());
+  const [editingDeck, setEditingDeck] = useState(null); // null, 'new' or a custom deck
+  const [deckName, setDeckName] = useState('');
+  const [deckFlowers, setDeckFlowers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [error, setError] = useState('');
+
+  const toggleDeck = (deckId) => {
+    if (selectedDeckIds.includes(deckId)) {
+      onChange(selectedDeckIds.filter(id => id !== deckId));
+    } else {
+      onChange([...selectedDeckIds, deckId]);
+    }
+  };
+
+  const openEditor = (deck) => {
+    setEditingDeck(deck || 'new');
+    setDeckName(deck ? deck.name : '');
+    setDeckFlowers(deck ? [...deck.flowers] : []);
+    setSearch('');
+    setError('');
+  };
+
+  const closeEditor = () => {
+    setEditingDeck(null);
+    setError('');
+  };
+
+  const toggleFlower = (flowerId) => {
+    if (deckFlowers.includes(flowerId)) {
+      setDeckFlowers(deckFlowers.filter(id => id !== flowerId));
+    } else {
+      setDeckFlowers([...deckFlowers, flowerId]);
+    }
+  };
+
+  const handleSave = () => {
+    if (deckFlowers.length === 0) {
+      setError('Pick at least one flower');
+      return;
+    }
+
+    try {
+      if (editingDeck === 'new') {
+        const deck = createDeck(deckName, deckFlowers);
+        onChange([...selectedDeckIds, deck.id]);
+      } else {
+        updateDeck(editingDeck.id, { name: deckName, flowers: deckFlowers });
+      }
+      setDecks(getDecks());
+      closeEditor();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (deck) => {
+    if (confirm(`Delete the deck "${deck.name}"? Your progress on its flowers is kept.`)) {
+      deleteDeck(deck.id);
+      setDecks(getDecks());
+      onChange(selectedDeckIds.filter(id => id !== deck.id));
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const matchingFlowers = allFlowers.filter(flower =>
+    !query ||
+    flower.scientific.toLowerCase().includes(query) ||
+    flower.common.some(name => name.toLowerCase().includes(query))
+  );
+
+  return (
+    <div className="deck-picker">
+      <h3>Study decks</h3>
+      <div className="deck-chips">
+        <button
+          className={`deck-chip ${selectedDeckIds.length === 0 ? 'selected' : ''}`}
+          onClick={() => onChange([])}
+        >
+          All Flowers ({allFlowers.length})
+        </button>
+        {decks.map(deck => (
+          <span key={deck.id} className="deck-chip-group">
+            <button
+              className={`deck-chip ${selectedDeckIds.includes(deck.id) ? 'selected' : ''}`}
+              onClick={() => toggleDeck(deck.id)}
+            >
+              {deck.name} ({getDeckFlowers(deck, allFlowers).length})
+            </button>
+            {!deck.builtIn && (
+              <>
+                <button className="deck-chip-action" onClick={() => openEditor(deck)} title="Edit deck">✏️</button>
+                <button className="deck-chip-action" onClick={() => handleDelete(deck)} title="Delete deck">🗑️</button>
+              </>
+            )}
+          </span>
+        ))}
+        {!editingDeck && (
+          <button className="deck-chip deck-chip-new" onClick={() => openEditor(null)}>
+            + New Deck
+          </button>
+        )}
+      </div>
+
+      {editingDeck && (
+        <div className="deck-editor">
+          <input
+            type="text"
+            className="deck-name-input"
+            value={deckName}
+            onChange={(e) => setDeckName(e.target.value)}
+            placeholder="Deck name, e.g. Spring exam"
+            autoFocus
+          />
+          <input
+            type="text"
+            className="deck-search-input"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search flowers..."
+          />
+          <div className="deck-flower-list">
+            {matchingFlowers.map(flower => (
+              <label key={flower.id} className="deck-flower-option">
+                <input
+                  type="checkbox"
+                  checked={deckFlowers.includes(flower.id)}
+                  onChange={() => toggleFlower(flower.id)}
+                />
+                {flower.common[0]} <em>({flower.scientific})</em>
+              </label>
+            ))}
+          </div>
+          {error && <p className="deck-error">{error}</p>}
+          <div className="deck-editor-actions">
+            <span className="deck-selected-count">{deckFlowers.length} selected</span>
+            <button onClick={closeEditor} className="btn btn-secondary">Cancel</button>
+            <button onClick={handleSave} className="btn btn-primary">Save Deck</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeckPicker;
@@ -0,0 +1,544 @@
+import { useState, useEffect, useRef } from 'react';
+import { getFlowerImages } from './imageCache';
+import {
+  ExamFormat,
+  EXAM_FORMAT_LABELS,
+  getExamSettings,
+  saveExamSettings,
+  validateExamSettings,
+  getExamRecords,
+  clearExamRecords,
+  pickExamFlowers,
+  buildExamQuestions,
+  scoreExam,
+  gradeExam
+} from './examService';
+import './ExamMode.css';
+
+// Spare flowers loaded in case some have no photo
+const SPARE_FLOWERS = 5;
+
+const RESULT_LABELS = {
+  correct: '✓ Correct',
+  close: '✓ Close (spelling)',
+  partial: '½ Partly right',
+  incorrect: '✗ Wrong'
+};
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Seconds
+ * @returns {string} e.g. "4:05"
+ */
+function formatTime(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Exam settings for a class assignment: every flower once, untimed
+ * @param {Object} assignment - Class assignment
+ * @returns {Object} Exam settings
+ */
+function getAssignmentSettings(assignment) {
+  return {
+    format: assignment.format,
+    questionCount: assignment.flowerIds.length,
+    timeLimitMinutes: null,
+    passMark: assignment.requiredPercent
+  };
+}
+
+// Timed mock exam in a fixed question format. No feedback until the exam is
+// handed in, and nothing here touches learning progress. Given an assignment,
+// runs it untimed instead and hands the graded record to onSubmit.
+function ExamMode({ flowers, examFlowers, distractorDifficulty, onBack, assignment = null, onSubmit }) {
+  const [phase, setPhase] = useState('setup'); // 'setup', 'loading', 'exam', 'results'
+  const [settings, setSettings] = useState(() => assignment ? getAssignmentSettings(assignment) : getExamSettings());
+  const [errors, setErrors] = useState([]);
+  const [records, setRecords] = useState(getExamRecords);
+  const [loadingProgress, setLoadingProgress] = useState(0);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState([]);
+  const [current, setCurrent] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [result, setResult] = useState(null); // Exam record of the finished exam
+  const [submission, setSubmission] = useState(null); // { status: 'sending' | 'sent' | 'failed', error }
+  const [skippedFlowerIds, setSkippedFlowerIds] = useState([]); // Assignment flowers that could not be asked
+
+  const startedAt = useRef(null);
+  const deadline = useRef(null);
+
+  const remainingSec = deadline.current ? (deadline.current - now) / 1000 : 0;
+
+  // Tick the countdown once a second while the exam runs
+  useEffect(() => {
+    if (phase !== 'exam') return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [phase]);
+
+  // Hand the exam in when time runs out
+  useEffect(() => {
+    if (phase === 'exam' && deadline.current && remainingSec <= 0) {
+      finishExam(true);
+    }
+  }, [phase, remainingSec]);
+
+  const updateSetting = (field, value) => {
+    setSettings({ ...settings, [field]: value });
+  };
+
+  const startExam = async () => {
+    const problems = assignment ? [] : validateExamSettings(settings);
+    if (examFlowers.length === 0) {
+      problems.push(assignment
+        ? 'None of this assignment\'s flowers are in your flower list'
+        : 'No flowers match the selected decks and filters');
+    }
+    setErrors(problems);
+    if (problems.length > 0) return;
+
+    if (!assignment) saveExamSettings(settings);
+    setPhase('loading');
+    setLoadingProgress(0);
+
+    // Exams only ask about flowers with a photo. An assignment still counts the
+    // others, as unanswered, so its score is out of every flower set.
+    const candidates = pickExamFlowers(examFlowers, settings.questionCount + SPARE_FLOWERS);
+    const images = await getFlowerImages(candidates, {
+      onProgress: (done, total) => setLoadingProgress(Math.round((done / total) * 100))
+    });
+    const picked = candidates
+      .map((flower, i) => ({ flower, image: images[i] }))
+      .filter(({ image }) => image)
+      .slice(0, settings.questionCount);
+
+    if (picked.length === 0) {
+      setErrors(['No flower photos could be loaded. Check your connection and try again.']);
+      setPhase('setup');
+      return;
+    }
+
+    const askedIds = new Set(picked.map(({ flower }) => flower.id));
+    setSkippedFlowerIds(assignment ? assignment.flowerIds.filter(id => !askedIds.has(id)) : []);
+
+    const examQuestions = buildExamQuestions(picked, flowers, settings.format, {
+      difficulty: distractorDifficulty,
+      activeFlowers: examFlowers
+    });
+    setQuestions(examQuestions);
+    setAnswers(examQuestions.map(() => null));
+    setCurrent(0);
+    setResult(null);
+
+    startedAt.current = Date.now();
+    deadline.current = settings.timeLimitMinutes ? startedAt.current + settings.timeLimitMinutes * 60 * 1000 : null;
+    setNow(Date.now());
+    setPhase('exam');
+  };
+
+  const setAnswer = (answer) => {
+    const updated = [...answers];
+    updated[current] = answer;
+    setAnswers(updated);
+  };
+
+  const isAnswered = (answer) => {
+    if (answer === null) return false;
+    if (typeof answer === 'string') return answer.trim() !== '';
+    if (settings.format === ExamFormat.BOTH_NAMES) return !!(answer.common.trim() || answer.scientific.trim());
+    return true;
+  };
+
+  // Typed answers are graded trimmed; blank ones count as unanswered
+  const cleanAnswer = (answer) => {
+    if (!isAnswered(answer)) return null;
+    if (typeof answer === 'string') return answer.trim();
+    if (settings.format === ExamFormat.BOTH_NAMES) {
+      return { common: answer.common.trim(), scientific: answer.scientific.trim() };
+    }
+    return answer;
+  };
+
+  const submitResult = async (record) => {
+    setSubmission({ status: 'sending' });
+    try {
+      await onSubmit(record);
+      setSubmission({ status: 'sent' });
+    } catch (err) {
+      setSubmission({ status: 'failed', error: err.message });
+    }
+  };
+
+  const finishExam = (timedOut = false) => {
+    const elapsedSec = Math.round((Date.now() - startedAt.current) / 1000);
+    const timeUsedSec = settings.timeLimitMinutes ? Math.min(elapsedSec, settings.timeLimitMinutes * 60) : elapsedSec;
+    const timing = { timeUsedSec, timedOut };
+    const cleaned = answers.map(cleanAnswer);
+
+    // Assignments go to the class server instead of the mock exam history
+    const record = assignment
+      ? scoreExam(questions, cleaned, flowers, settings, timing, { skippedFlowerIds })
+      : gradeExam(questions, cleaned, flowers, settings, timing);
+    deadline.current = null;
+    setResult(record);
+    setPhase('results');
+    if (assignment) {
+      submitResult(record);
+    } else {
+      setRecords(getExamRecords());
+    }
+  };
+
+  const handleHandIn = () => {
+    const unanswered = answers.filter(answer => !isAnswered(answer)).length;
+    if (unanswered > 0 && !confirm(`${unanswered} question${unanswered === 1 ? ' is' : 's are'} unanswered. Hand in anyway?`)) {
+      return;
+    }
+    finishExam(false);
+  };
+
+  const handleClearRecords = () => {
+    if (confirm('Delete all mock exam results?')) {
+      clearExamRecords();
+      setRecords([]);
+    }
+  };
+
+  const formatAnswer = (answer) => {
+    if (answer === null) return '—';
+    if (typeof answer === 'string') return answer;
+    return `${answer.common || '—'} / ${answer.scientific || '—'}`;
+  };
+
+  const formatCorrectAnswer = ({ flower, format }) => {
+    if (format === ExamFormat.SCIENTIFIC_NAME) return flower.scientific;
+    if (format === ExamFormat.BOTH_NAMES) return `${flower.common.join(' or ')} / ${flower.scientific}`;
+    return flower.common.join(' or ');
+  };
+
+  if (phase === 'loading') {
+    return (
+      <div className="exam-container">
+        <div className="loading-screen">
+          <h2>{assignment ? 'Preparing Assignment...' : 'Preparing Exam...'}</h2>
+          <p>Fetching flower images</p>
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: `${loadingProgress}%` }}></div>
+          </div>
+          <p className="progress-text">{loadingProgress}%</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === 'exam') {
+    const question = questions[current];
+    const answer = answers[current];
+
+    return (
+      <div className="exam-container">
+        <div className="exam-header">
+          <div className="question-counter">Question {current + 1} of {questions.length}</div>
+          {deadline.current && (
+            <div className={`exam-timer ${remainingSec < 60 ? 'running-out' : ''}`}>
+              ⏱ {formatTime(remainingSec)}
+            </div>
+          )}
+        </div>
+
+        <div className="image-container">
+          <img src={question.image.src} alt="Flower to identify" className="flower-image" />
+        </div>
+
+        {question.format === ExamFormat.MULTIPLE_CHOICE && (
+          <div className="options">
+            {question.options.map((option, index) => (
+              <button
+                key={index}
+                className={`option-btn ${answer === option ? 'selected' : ''}`}
+                onClick={() => setAnswer(option)}
+              >
+                {option.text}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {(question.format === ExamFormat.COMMON_NAME || question.format === ExamFormat.SCIENTIFIC_NAME) && (
+          <div className="text-answer-container">
+            <input
+              key={current}
+              type="text"
+              className="text-input"
+              value={answer || ''}
+              onChange={(e) => setAnswer(e.target.value)}
+              placeholder={question.format === ExamFormat.SCIENTIFIC_NAME ? 'Scientific name' : 'Common name'}
+              autoFocus
+            />
+          </div>
+        )}
+
+        {question.format === ExamFormat.BOTH_NAMES && (
+          <div className="mastery-inputs">
+            <div className="text-answer-container">
+              <label>Common Name:</label>
+              <input
+                key={`common-${current}`}
+                type="text"
+                className="text-input"
+                value={answer?.common || ''}
+                onChange={(e) => setAnswer({ common: e.target.value, scientific: answer?.scientific || '' })}
+                autoFocus
+              />
+            </div>
+            <div className="text-answer-container">
+              <label>Scientific Name:</label>
+              <input
+                key={`scientific-${current}`}
+                type="text"
+                className="text-input"
+                value={answer?.scientific || ''}
+                onChange={(e) => setAnswer({ common: answer?.common || '', scientific: e.target.value })}
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="exam-nav">
+          <button onClick={() => setCurrent(current - 1)} disabled={current === 0} className="btn btn-secondary">
+            ← Previous
+          </button>
+          {current + 1 < questions.length ? (
+            <button onClick={() => setCurrent(current + 1)} className="btn btn-primary">Next →</button>
+          ) : (
+            <button onClick={handleHandIn} className="btn btn-primary">Hand In</button>
+          )}
+        </div>
+
+        <div className="exam-question-map">
+          {questions.map((q, index) => (
+            <button
+              key={index}
+              className={`exam-question-dot ${index === current ? 'current' : ''} ${isAnswered(answers[index]) ? 'answered' : ''}`}
+              onClick={() => setCurrent(index)}
+              title={`Question ${index + 1}`}
+            >
+              {index + 1}
+            </button>
+          ))}
+        </div>
+        {current + 1 < questions.length && (
+          <button onClick={handleHandIn} className="btn-hand-in-early">Hand in now</button>
+        )}
+      </div>
+    );
+  }
+
+  if (phase === 'results' && result) {
+    return (
+      <div className="exam-container">
+        <h1>{assignment ? assignment.title : 'Exam Results'}</h1>
+        <div className={`exam-verdict ${result.passed ? 'passed' : 'failed'}`}>
+          <p className="exam-verdict-title">{result.passed ? 'Pass' : 'Not yet a pass'}</p>
+          <p className="exam-score">
+            {result.score} / {result.total} ({result.percent}%)
+          </p>
+          {assignment ? (
+            <p>Required score {result.passMark}% · Time {formatTime(result.timeUsedSec)}</p>
+          ) : (
+            <p>
+              Pass mark {result.passMark}% · Time {formatTime(result.timeUsedSec)} of {result.timeLimitMinutes}:00
+              {result.timedOut && ' · Time ran out'}
+            </p>
+          )}
+        </div>
+
+        {skippedFlowerIds.length > 0 && (
+          <p className="exam-skipped">
+            {skippedFlowerIds.length} flower{skippedFlowerIds.length === 1 ? '' : 's'} could not be shown
+            (no photo, or not in your flower list) and count as unanswered.
+          </p>
+        )}
+
+        {submission && (
+          <p className={`exam-submission ${submission.status}`}>
+            {submission.status === 'sending' && 'Handing in to your class...'}
+            {submission.status === 'sent' && '✓ Handed in to your class.'}
+            {submission.status === 'failed' && (
+              <>
+                Could not hand in: {submission.error}{' '}
+                <button onClick={() => submitResult(result)} className="btn-retry-submit">Try again</button>
+              </>
+            )}
+          </p>
+        )}
+
+        <div className="button-group">
+          {!assignment && <button onClick={() => setPhase('setup')} className="btn btn-primary">New Exam</button>}
+          <button
+            onClick={() => {
+              if (submission?.status === 'failed' && !confirm('Your answers have not been handed in. Leave anyway?')) return;
+              onBack();
+            }}
+            className="btn btn-secondary"
+            disabled={submission?.status === 'sending'}
+          >
+            {assignment ? 'Back to Class' : 'Back to Menu'}
+          </button>
+        </div>
+
+        <div className="results-review">
+          <h2>Answers</h2>
+          {questions.map((question, index) => {
+            const graded = result.questions[index];
+            return (
+              <div key={index} className={`review-item ${graded.result}`}>
+                <img src={question.image.src} alt={question.flower.common[0]} className="review-image" />
+                <div className="review-details">
+                  <div className="review-title">
+                    <strong>{index + 1}. {question.flower.common[0]}</strong>
+                    <em> {question.flower.scientific}</em>
+                  </div>
+                  <div className="review-result">{RESULT_LABELS[graded.result]}</div>
+                  <div>Your answer: <span className="review-given">{formatAnswer(graded.answer)}</span></div>
+                  {graded.result !== 'correct' && (
+                    <div>Correct: <span className="review-correct">{formatCorrectAnswer(question)}</span></div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  if (assignment) {
+    return (
+      <div className="exam-container">
+        <div className="exam-setup-header">
+          <h1>{assignment.title}</h1>
+          <button onClick={onBack} className="btn btn-secondary">Back to Class</button>
+        </div>
+        <p className="exam-intro">
+          {assignment.flowerIds.length} flowers, {EXAM_FORMAT_LABELS[assignment.format].toLowerCase()} questions, no time limit.
+          You need {assignment.requiredPercent}% to pass
+          {assignment.dueDate && <>, due {new Date(`${assignment.dueDate}T00:00`).toLocaleDateString()}</>}.
+          No feedback until you hand in; your result goes to your instructor.
+        </p>
+
+        {errors.length > 0 && (
+          <ul className="exam-errors">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        <button onClick={startExam} className="btn btn-primary">Start Assignment</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="exam-container">
+      <div className="exam-setup-header">
+        <h1>Mock Exam</h1>
+        <button onClick={onBack} className="btn btn-secondary">Back to Menu</button>
+      </div>
+      <p className="exam-intro">
+        A timed practice test like the practical ID exam: one question format, no feedback until you
+        hand in, and no effect on your learning progress. Questions are drawn from the {examFlowers.length}{' '}
+        flowers in the selected decks and filters.
+      </p>
+
+      <div className="exam-settings">
+        <label>
+          Question format
+          <select value={settings.format} onChange={(e) => updateSetting('format', e.target.value)}>
+            {Object.values(ExamFormat).map(format => (
+              <option key={format} value={format}>{EXAM_FORMAT_LABELS[format]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Questions
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={settings.questionCount}
+            onChange={(e) => updateSetting('questionCount', Number(e.target.value))}
+          />
+        </label>
+        <label>
+          Time limit (minutes)
+          <input
+            type="number"
+            min="1"
+            max="180"
+            value={settings.timeLimitMinutes}
+            onChange={(e) => updateSetting('timeLimitMinutes', Number(e.target.value))}
+          />
+        </label>
+        <label>
+          Pass mark (%)
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={settings.passMark}
+            onChange={(e) => updateSetting('passMark', Number(e.target.value))}
+          />
+        </label>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="exam-errors">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <button onClick={startExam} className="btn btn-primary">Start Exam</button>
+
+      <div className="exam-history">
+        <div className="exam-history-header">
+          <h2>Past Exams</h2>
+          {records.length > 0 && (
+            <button onClick={handleClearRecords} className="btn-clear-exams">Clear</button>
+          )}
+        </div>
+        {records.length === 0 ? (
+          <p className="exam-history-empty">No exams taken yet.</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Format</th>
+                <th>Score</th>
+                <th>Time</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(record => (
+                <tr key={record.id}>
+                  <td>{new Date(record.takenAt).toLocaleString()}</td>
+                  <td>{EXAM_FORMAT_LABELS[record.format]}</td>
+                  <td>{record.score} / {record.total} ({record.percent}%)</td>
+                  <td>{formatTime(record.timeUsedSec)}{record.timedOut && ' ⏱'}</td>
+                  <td className={record.passed ? 'exam-pass' : 'exam-fail'}>
+                    {record.passed ? 'Pass' : 'Fail'} (≥{record.passMark}%)
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ExamMode;
@@ -1,28 +1,46 @@
 import { useState, useEffect } from 'react';
-import { flowers } from './flowersData';
-import { fetchFlowerImageSmart } from './wikimediaService';
+import { getFlowerImage, prefetchImages } from './imageCache';
+import { banImage, pinImage, isImagePinned } from './imageCuration';
+import ImageAttribution from './ImageAttribution';
+import FlowerDetails from './FlowerDetails';
 import './FlashcardBrowse.css';
 
-function FlashcardBrowse({ onBack }) {
+function FlashcardBrowse({ onBack, flowers }) {
   const [currentIndex, setCurrentIndex] = useState(0);
   const [flipped, setFlipped] = useState(false);
-  const [imageUrl, setImageUrl] = useState(null);
+  const [image, setImage] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [imagePinned, setImagePinned] = useState(false);
   const [shuffled, setShuffled] = useState(false);
   const [flowerList, setFlowerList] = useState([...flowers]);
 
   useEffect(() => {
+    if (flowerList.length === 0) return undefined;
+    let cancelled = false;
+
+    const loadImage = async () => {
+      setLoading(true);
+      setFlipped(false);
+      const flower = flowerList[currentIndex];
+      const loaded = await getFlowerImage(flower);
+      if (cancelled) return; // Navigated away while loading
+      setImage(loaded);
+      setImagePinned(!!loaded && isImagePinned(flower.id, loaded));
+      setLoading(false);
+    };
+
     loadImage();
-  }, [currentIndex, flowerList]);
 
-  const loadImage = async () => {
-    setLoading(true);
-    setFlipped(false);
-    const flower = flowerList[currentIndex];
-    const url = await fetchFlowerImageSmart(flower);
-    setImageUrl(url);
-    setLoading(false);
-  };
+    // Warm the cache for the next few cards in both directions
+    const neighbours = [1, 2, 3, -1].map(offset =>
+      flowerList[(currentIndex + offset + flowerList.length) % flowerList.length]
+    );
+    prefetchImages(neighbours);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentIndex, flowerList]);
 
   const handleNext = () => {
     if (currentIndex < flowerList.length - 1) {
@@ -44,6 +62,26 @@ function FlashcardBrowse({ onBack }) {
     setFlipped(!flipped);
   };
 
+  // Report the shown image and replace it with a different one
+  const handleReportImage = async () => {
+    if (!image) return;
+    const flower = flowerList[currentIndex];
+    banImage(flower.id, image);
+
+    setLoading(true);
+    const replacement = await getFlowerImage(flower, { refresh: true });
+    setImage(replacement);
+    setImagePinned(false);
+    setLoading(false);
+  };
+
+  // Pin the shown image as a known-good photo of this flower
+  const handlePinImage = () => {
+    if (!image) return;
+    pinImage(flowerList[currentIndex].id, image);
+    setImagePinned(true);
+  };
+
   const handleShuffle = () => {
     const newList = [...flowers].sort(() => Math.random() - 0.5);
     setFlowerList(newList);
@@ -64,6 +102,7 @@ function FlashcardBrowse({ onBack }) {
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
         return;
       }
+      if (flowerList.length === 0) return;
 
       if (e.key === 'ArrowLeft') {
         handlePrev();
@@ -85,6 +124,20 @@ function FlashcardBrowse({ onBack }) {
 
   const currentFlower = flowerList[currentIndex];
 
+  if (!currentFlower) {
+    return (
+      <div className="flashcard-browse-container">
+        <div className="browse-header">
+          <h1>Browse Flashcards</h1>
+          <div className="browse-controls">
+            <button onClick={onBack} className="btn btn-primary">Back to Menu</button>
+          </div>
+        </div>
+        <p className="browse-empty">No flowers match the selected decks and filters.</p>
+      </div>
+    );
+  }
+
   return (
     <div className="flashcard-browse-container">
       <div className="browse-header">
@@ -106,8 +159,8 @@ function FlashcardBrowse({ onBack }) {
           <div className="flashcard-front">
             {loading ? (
               <div className="loading-placeholder">Loading image...</div>
-            ) : imageUrl ? (
-              <img src={imageUrl} alt="Flower" className="flashcard-image" />
+            ) : image ? (
+              <img src={image.src} alt="Flower" className="flashcard-image" />
             ) : (
               <div className="no-image-placeholder">
                 <p>Image not available</p>
@@ -121,11 +174,26 @@ function FlashcardBrowse({ onBack }) {
             <p className="common-names-large">{currentFlower.common.join(', ')}</p>
             <h2>Scientific Name:</h2>
             <p className="scientific-name-large">{currentFlower.scientific}</p>
+            {currentFlower.notes && (
+              <p className="flower-notes-large">{currentFlower.notes}</p>
+            )}
+            <FlowerDetails flower={currentFlower} />
             <div className="flip-hint">Click to hide</div>
           </div>
         </div>
       </div>
 
+      {!loading && <ImageAttribution image={image} />}
+
+      <div className="image-curation-buttons">
+        <button onClick={handleReportImage} className="btn btn-curation" disabled={loading || !image}>
+          🚫 Report Image
+        </button>
+        <button onClick={handlePinImage} className="btn btn-curation" disabled={loading || !image || imagePinned}>
+          {imagePinned ? '📌 Pinned' : '📌 Pin as Good'}
+        </button>
+      </div>
+
       <div className="navigation-buttons">
         <button onClick={handlePrev} className="btn btn-nav">
           ← Previous
@@ -0,0 +1,78 @@
+import './FlowerDetails.css';
+
+// Swatch colours for the catalog's colour names
+const COLOUR_SWATCHES = {
+  white: '#ffffff',
+  cream: '#f3e9c6',
+  yellow: '#fdd835',
+  orange: '#fb8c00',
+  peach: '#ffb38a',
+  pink: '#f48fb1',
+  red: '#e53935',
+  burgundy: '#7b1f3a',
+  purple: '#8e24aa',
+  lavender: '#b39ddb',
+  blue: '#1e88e5',
+  green: '#43a047',
+  brown: '#795548',
+  silver: '#b0bec5'
+};
+
+/**
+ * Format a vase life range
+ * @param {Object} vaseLife - { min, max } days
+ * @returns {string} e.g. "7–10 days"
+ */
+function formatVaseLife({ min, max }) {
+  return min === max ? `${min} days` : `${min}–${max} days`;
+}
+
+// Botanical details of a flower: family, colours, season, vase life and care
+function FlowerDetails({ flower, compact = false }) {
+  const { family, colours, seasons, vaseLife, care } = flower;
+  if (!family && !colours && !seasons && !vaseLife && !care) return null;
+
+  return (
+    <dl className={`flower-details ${compact ? 'compact' : ''}`}>
+      {family && (
+        <>
+          <dt>Family</dt>
+          <dd><em>{family}</em></dd>
+        </>
+      )}
+      {colours && (
+        <>
+          <dt>Colours</dt>
+          <dd>
+            {colours.map(colour => (
+              <span key={colour} className="colour-chip">
+                <span className="colour-swatch" style={{ backgroundColor: COLOUR_SWATCHES[colour] }} />
+                {colour}
+              </span>
+            ))}
+          </dd>
+        </>
+      )}
+      {seasons && (
+        <>
+          <dt>Season</dt>
+          <dd>{seasons.join(', ')}</dd>
+        </>
+      )}
+      {vaseLife && (
+        <>
+          <dt>Vase life</dt>
+          <dd>{formatVaseLife(vaseLife)}</dd>
+        </>
+      )}
+      {care && (
+        <>
+          <dt>Care</dt>
+          <dd>{care}</dd>
+        </>
+      )}
+    </dl>
+  );
+}
+
+export default FlowerDetails;
@@ -0,0 +1,336 @@
+import { useState } from 'react';
+import {
+  getCatalog,
+  getRemovedFlowers,
+  addFlower,
+  updateFlower,
+  removeFlower,
+  restoreFlower
+} from './catalogService';
+import { getDecks, setDeckMembership } from './deckService';
+import { SEASONS } from './catalogLoader';
+import './FlowerEditor.css';
+
+const LIST_OPTIONS = [
+  { value: 1, label: 'ID List #2' },
+  { value: 2, label: 'ID List #1' },
+  { value: 3, label: 'Foliage & Ornamentals' }
+];
+
+const EMPTY_FORM = {
+  scientific: '',
+  common: '',
+  listPriority: 1,
+  deckIds: [],
+  notes: '',
+  imageUrls: '',
+  family: '',
+  colours: '',
+  seasons: [],
+  vaseLife: '',
+  care: ''
+};
+
+function FlowerEditor({ onBack, onCatalogChange }) {
+  const [catalog, setCatalog] = useState(getCatalog());
+  const [removedFlowers, setRemovedFlowers] = useState(getRemovedFlowers());
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null); // null, 'new' or the flower being edited
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+
+  const customDecks = getDecks().filter(deck => !deck.builtIn);
+
+  const refresh = () => {
+    const updated = getCatalog();
+    setCatalog(updated);
+    setRemovedFlowers(getRemovedFlowers());
+    onCatalogChange(updated);
+  };
+
+  const openForm = (flower) => {
+    setEditing(flower || 'new');
+    setError('');
+    if (!flower) {
+      setForm(EMPTY_FORM);
+      return;
+    }
+    setForm({
+      scientific: flower.scientific,
+      common: flower.common.join(', '),
+      listPriority: flower.listPriority,
+      deckIds: customDecks.filter(deck => deck.flowers.includes(flower.id)).map(deck => deck.id),
+      notes: flower.notes || '',
+      imageUrls: (flower.imageUrls || []).join('\n'),
+      family: flower.family || '',
+      colours: (flower.colours || []).join(', '),
+      seasons: flower.seasons || [],
+      vaseLife: flower.vaseLife ? `${flower.vaseLife.min}-${flower.vaseLife.max}` : '',
+      care: flower.care || ''
+    });
+  };
+
+  const closeForm = () => {
+    setEditing(null);
+    setError('');
+  };
+
+  const updateField = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  const toggleDeck = (deckId) => {
+    const deckIds = form.deckIds.includes(deckId)
+      ? form.deckIds.filter(id => id !== deckId)
+      : [...form.deckIds, deckId];
+    updateField('deckIds', deckIds);
+  };
+
+  const toggleSeason = (season) => {
+    const seasons = form.seasons.includes(season)
+      ? form.seasons.filter(s => s !== season)
+      : [...form.seasons, season];
+    updateField('seasons', seasons);
+  };
+
+  const handleSave = () => {
+    const flower = {
+      scientific: form.scientific,
+      common: form.common.split(','),
+      listPriority: form.listPriority,
+      notes: form.notes,
+      imageUrls: form.imageUrls.split('\n'),
+      family: form.family,
+      colours: form.colours,
+      seasons: SEASONS.filter(season => form.seasons.includes(season)),
+      vaseLife: form.vaseLife,
+      care: form.care
+    };
+
+    try {
+      const saved = editing === 'new' ? addFlower(flower) : updateFlower(editing.id, flower);
+      customDecks.forEach(deck => {
+        setDeckMembership(deck.id, saved.id, form.deckIds.includes(deck.id));
+      });
+      refresh();
+      closeForm();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (flower) => {
+    if (confirm(`Remove ${flower.common[0]} (${flower.scientific}) from the catalog?`)) {
+      removeFlower(flower.id);
+      refresh();
+      closeForm();
+    }
+  };
+
+  const handleRestore = (flowerId) => {
+    restoreFlower(flowerId);
+    refresh();
+    closeForm();
+  };
+
+  const query = search.trim().toLowerCase();
+  const matchingFlowers = catalog.filter(flower =>
+    !query ||
+    flower.scientific.toLowerCase().includes(query) ||
+    flower.common.some(name => name.toLowerCase().includes(query))
+  );
+
+  return (
+    <div className="editor-container">
+      <div className="editor-header">
+        <h1>Edit Flowers</h1>
+        <div className="editor-header-actions">
+          <button onClick={() => openForm(null)} className="btn btn-primary">+ Add Flower</button>
+          <button onClick={onBack} className="btn btn-secondary">Back to Menu</button>
+        </div>
+      </div>
+
+      {editing && (
+        <div className="editor-form">
+          <h2>{editing === 'new' ? 'New Flower' : `Edit ${editing.scientific}`}</h2>
+
+          <label>Scientific name</label>
+          <input
+            type="text"
+            value={form.scientific}
+            onChange={(e) => updateField('scientific', e.target.value)}
+            placeholder="e.g., Protea cynaroides"
+            autoFocus
+          />
+
+          <label>Common names (comma separated)</label>
+          <input
+            type="text"
+            value={form.common}
+            onChange={(e) => updateField('common', e.target.value)}
+            placeholder="e.g., king protea, giant protea"
+          />
+
+          <label>List</label>
+          <select value={form.listPriority} onChange={(e) => updateField('listPriority', Number(e.target.value))}>
+            {LIST_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+
+          {customDecks.length > 0 && (
+            <>
+              <label>Custom decks</label>
+              <div className="editor-decks">
+                {customDecks.map(deck => (
+                  <label key={deck.id} className="editor-deck-option">
+                    <input
+                      type="checkbox"
+                      checked={form.deckIds.includes(deck.id)}
+                      onChange={() => toggleDeck(deck.id)}
+                    />
+                    {deck.name}
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+
+          <label>Family</label>
+          <input
+            type="text"
+            value={form.family}
+            onChange={(e) => updateField('family', e.target.value)}
+            placeholder="e.g., Proteaceae"
+          />
+
+          <label>Colours (comma separated)</label>
+          <input
+            type="text"
+            value={form.colours}
+            onChange={(e) => updateField('colours', e.target.value)}
+            placeholder="e.g., pink, white, red"
+          />
+
+          <label>Season</label>
+          <div className="editor-decks">
+            {SEASONS.map(season => (
+              <label key={season} className="editor-deck-option">
+                <input
+                  type="checkbox"
+                  checked={form.seasons.includes(season)}
+                  onChange={() => toggleSeason(season)}
+                />
+                {season}
+              </label>
+            ))}
+          </div>
+
+          <label>Vase life (days)</label>
+          <input
+            type="text"
+            value={form.vaseLife}
+            onChange={(e) => updateField('vaseLife', e.target.value)}
+            placeholder="e.g., 7-10"
+          />
+
+          <label>Care and handling</label>
+          <textarea
+            value={form.care}
+            onChange={(e) => updateField('care', e.target.value)}
+            placeholder="e.g., Strip leaves below the waterline"
+            rows={2}
+          />
+
+          <label>Notes</label>
+          <textarea
+            value={form.notes}
+            onChange={(e) => updateField('notes', e.target.value)}
+            placeholder="Identification tips, care notes..."
+            rows={3}
+          />
+
+          <label>Image URLs (one per line, optional)</label>
+          <textarea
+            value={form.imageUrls}
+            onChange={(e) => updateField('imageUrls', e.target.value)}
+            placeholder="https://..."
+            rows={3}
+          />
+
+          {error && <p className="editor-error">{error}</p>}
+
+          <div className="editor-form-actions">
+            {editing !== 'new' && (
+              <button onClick={() => handleDelete(editing)} className="btn btn-danger">Delete</button>
+            )}
+            {editing !== 'new' && editing.edited && (
+              <button onClick={() => handleRestore(editing.id)} className="btn btn-secondary">
+                Restore Original
+              </button>
+            )}
+            <button onClick={closeForm} className="btn btn-secondary">Cancel</button>
+            <button onClick={handleSave} className="btn btn-primary">Save</button>
+          </div>
+        </div>
+      )}
+
+      <input
+        type="text"
+        className="editor-search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder={`Search ${catalog.length} flowers...`}
+      />
+
+      <div className="flowers-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Flower</th>
+              <th>Scientific Name</th>
+              <th>List</th>
+              <th>Source</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {matchingFlowers.map(flower => (
+              <tr key={flower.id}>
+                <td className="flower-name">{flower.common.join(', ')}</td>
+                <td className="scientific-name">{flower.scientific}</td>
+                <td>{LIST_OPTIONS.find(option => option.value === flower.listPriority)?.label || `List ${flower.listPriority}`}</td>
+                <td>
+                  {flower.custom ? (
+                    <span className="source-custom">Added</span>
+                  ) : flower.edited ? (
+                    <span className="source-edited">Edited</span>
+                  ) : (
+                    <span className="source-builtin">Built-in</span>
+                  )}
+                </td>
+                <td>
+                  <button onClick={() => openForm(flower)} className="btn-edit-flower">Edit</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {removedFlowers.length > 0 && (
+        <div className="removed-flowers">
+          <h3>Removed built-in flowers</h3>
+          {removedFlowers.map(flower => (
+            <div key={flower.id} className="removed-flower">
+              <span>{flower.common[0]} <em>({flower.scientific})</em></span>
+              <button onClick={() => handleRestore(flower.id)} className="btn-edit-flower">Restore</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FlowerEditor;
@@ -0,0 +1,35 @@
+import './ImageAttribution.css';
+
+function ImageAttribution({ image }) {
+  if (!image) return null;
+
+  const { author, license, licenseUrl, sourceUrl } = image;
+  if (!author && !license && !sourceUrl) return null;
+
+  // Keep clicks on links from flipping flashcards
+  const stopPropagation = (e) => e.stopPropagation();
+
+  return (
+    <p className="image-attribution" onClick={stopPropagation}>
+      {author && <span>Photo: {author}</span>}
+      {license && (
+        <span>
+          {licenseUrl ? (
+            <a href={licenseUrl} target="_blank" rel="noopener noreferrer">{license}</a>
+          ) : (
+            license
+          )}
+        </span>
+      )}
+      {sourceUrl && (
+        <span>
+          <a href={sourceUrl} target="_blank" rel="noopener noreferrer">
+            {['commons', 'wikipedia'].includes(image.provider) ? 'View on Wikimedia Commons' : 'Source'}
+          </a>
+        </span>
+      )}
+    </p>
+  );
+}
+
+export default ImageAttribution;
@@ -0,0 +1,31 @@
+import ImageAttribution from './ImageAttribution';
+import './PhotoChoiceGrid.css';
+
+// 2×2 grid of photos to pick from; names appear under each photo once answered
+function PhotoChoiceGrid({ options, selected, showFeedback, getLabel, onSelect }) {
+  const getTileClass = (option) => {
+    if (showFeedback && option.isCorrect) return 'correct';
+    if (showFeedback && option === selected) return 'incorrect';
+    return option === selected ? 'selected' : '';
+  };
+
+  return (
+    <div className="photo-choices">
+      {options.map((option, index) => (
+        <div key={option.flowerId} className={`photo-choice ${getTileClass(option)}`}>
+          <button
+            className="photo-choice-btn"
+            onClick={() => onSelect(option)}
+            disabled={showFeedback}
+          >
+            <img src={option.image.src} alt={`Photo ${index + 1}`} />
+          </button>
+          {showFeedback && <p className="photo-choice-label">{getLabel(option)}</p>}
+          <ImageAttribution image={option.image} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PhotoChoiceGrid;
@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import {
+  getProfiles,
+  getActiveProfileId,
+  createProfile,
+  renameProfile,
+  switchProfile,
+  deleteProfile
+} from './profileService';
+import './ProfilePicker.css';
+
+// Choose who is studying; each profile keeps its own progress and settings
+function ProfilePicker() {
+  const [profiles, setProfiles] = useState(getProfiles);
+  const [activeId, setActiveId] = useState(getActiveProfileId);
+  const [editing, setEditing] = useState(null); // null, 'new' or 'rename'
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  const activeProfile = profiles.find(p => p.id === activeId);
+
+  const refresh = () => {
+    setProfiles(getProfiles());
+    setActiveId(getActiveProfileId());
+  };
+
+  const openEditor = (mode) => {
+    setEditing(mode);
+    setName(mode === 'rename' ? activeProfile.name : '');
+    setError('');
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    setError('');
+  };
+
+  const handleSave = () => {
+    try {
+      if (editing === 'new') {
+        switchProfile(createProfile(name).id);
+      } else {
+        renameProfile(activeId, name);
+      }
+      refresh();
+      closeEditor();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSwitch = (profileId) => {
+    switchProfile(profileId);
+    refresh();
+    closeEditor();
+  };
+
+  const handleDelete = () => {
+    if (confirm(`Delete the profile "${activeProfile.name}" and all of its progress, history and exam results? This cannot be undone.`)) {
+      deleteProfile(activeId);
+      refresh();
+      closeEditor();
+    }
+  };
+
+  return (
+    <div className="profile-picker">
+      <label className="profile-select">
+        Learner:{' '}
+        <select value={activeId} onChange={(e) => handleSwitch(e.target.value)}>
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+      </label>
+      <button className="profile-action" onClick={() => openEditor('rename')} title="Rename profile">✏️</button>
+      {profiles.length > 1 && (
+        <button className="profile-action" onClick={handleDelete} title="Delete profile">🗑️</button>
+      )}
+      <button className="profile-new" onClick={() => openEditor('new')}>+ New Profile</button>
+
+      {editing && (
+        <div className="profile-editor">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="Learner's name"
+            autoFocus
+          />
+          <button onClick={closeEditor} className="btn btn-secondary">Cancel</button>
+          <button onClick={handleSave} className="btn btn-primary">
+            {editing === 'new' ? 'Create' : 'Rename'}
+          </button>
+          {error && <p className="profile-error">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProfilePicker;
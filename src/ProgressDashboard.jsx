@@ -1,26 +1,34 @@
-import { useState, useEffect } from 'react';
-import { getAllFlowerStats, MasteryStage, clearAllProgress } from './storageService';
-import { flowers } from './flowersData';
+import { useState, useMemo } from 'react';
+import { getAllFlowerStats, MasteryStage, STAGE_PROMOTION_INTERVAL, clearAllProgress } from './storageService';
+import { getCatalog } from './catalogService';
+import { getDecks, getFlowersForDecks } from './deckService';
+import { clearAttemptLog } from './attemptLog';
+import ProgressTrends from './ProgressTrends';
+import BackupControls from './BackupControls';
+import SyncSettings from './SyncSettings';
+import ConfusionMatrix from './ConfusionMatrix';
+import { useProgress } from './useProgress';
+import { getActiveProfile } from './profileService';
 import './ProgressDashboard.css';
 
-function ProgressDashboard({ onBack }) {
-  const [flowerStats, setFlowerStats] = useState([]);
+function ProgressDashboard({ onBack, initialDeckIds = [], onConfusionDrill }) {
+  const [flowers] = useState(getCatalog);
+  const [deckFilter, setDeckFilter] = useState(initialDeckIds.length > 0 ? 'selected' : 'all'); // 'all', 'selected' or a deck id
   const [filter, setFilter] = useState('all'); // 'all', 'needsReview', 'flashcard', 'mc', 'short', 'scientific', 'mastery'
-  const [sortBy, setSortBy] = useState('name'); // 'name', 'stage', 'successRate', 'lastSeen'
+  const [sortBy, setSortBy] = useState('name'); // 'name', 'stage', 'successRate', 'lastSeen', 'dueDate'
 
-  useEffect(() => {
-    loadStats();
-  }, []);
+  const progress = useProgress();
+  const allStats = useMemo(() => getAllFlowerStats(flowers), [flowers, progress]);
 
-  const loadStats = () => {
-    const stats = getAllFlowerStats(flowers);
-    setFlowerStats(stats);
-  };
+  // Scope everything below to the chosen deck(s)
+  const deckIds = deckFilter === 'all' ? [] : deckFilter === 'selected' ? initialDeckIds : [deckFilter];
+  const deckFlowers = new Set(getFlowersForDecks(deckIds, flowers));
+  const flowerStats = allStats.filter(s => deckFlowers.has(s.flower));
 
   const handleClearProgress = () => {
     if (confirm('Are you sure you want to clear all progress? This cannot be undone.')) {
       clearAllProgress();
-      loadStats();
+      clearAttemptLog();
     }
   };
 
@@ -42,12 +50,27 @@ function ProgressDashboard({ onBack }) {
   };
 
   const getProgressToNextStage = (stat) => {
-    const { stage, stageCorrectCount } = stat;
+    const { stage, interval } = stat;
     if (stage === MasteryStage.MASTERY) {
       return 'Fully Mastered!';
     }
-    const needed = 2;
-    return `${stageCorrectCount}/${needed} to next stage`;
+    const needed = STAGE_PROMOTION_INTERVAL[stage];
+    return `${interval}/${needed} day interval to next stage`;
+  };
+
+  const getDueText = (stat) => {
+    if (!stat.dueDate) return 'Not scheduled';
+    const days = Math.ceil((new Date(stat.dueDate) - Date.now()) / (1000 * 60 * 60 * 24));
+    if (days <= 0) return 'Due now';
+    return days === 1 ? 'in 1 day' : `in ${days} days`;
+  };
+
+  // Genus/epithet accuracy of typed scientific names
+  const getScientificPartsText = (stat) => {
+    const { attempts, genusCorrect, epithetAttempts, epithetCorrect } = stat.scientificStats;
+    if (attempts === 0) return null;
+    const genusText = `Genus ${genusCorrect}/${attempts}`;
+    return epithetAttempts > 0 ? `${genusText} · species ${epithetCorrect}/${epithetAttempts}` : genusText;
   };
 
   // Filter stats
@@ -81,6 +104,11 @@ function ProgressDashboard({ onBack }) {
         if (!a.lastSeen) return 1;
         if (!b.lastSeen) return -1;
         return new Date(b.lastSeen) - new Date(a.lastSeen);
+      case 'dueDate':
+        if (!a.dueDate && !b.dueDate) return 0;
+        if (!a.dueDate) return 1;
+        if (!b.dueDate) return -1;
+        return new Date(a.dueDate) - new Date(b.dueDate);
       default:
         return 0;
     }
@@ -90,6 +118,7 @@ function ProgressDashboard({ onBack }) {
   const totalFlowers = flowerStats.length;
   const attemptedFlowers = flowerStats.filter(s => s.correctCount + s.incorrectCount > 0).length;
   const needsReview = flowerStats.filter(s => s.needsReview).length;
+  const dueNow = flowerStats.filter(s => s.dueDate && new Date(s.dueDate) <= new Date()).length;
   const masteryBreakdown = {
     flashcard: flowerStats.filter(s => s.stage === MasteryStage.FLASHCARD).length,
     mc: flowerStats.filter(s => s.stage === MasteryStage.MULTIPLE_CHOICE).length,
@@ -101,7 +130,10 @@ function ProgressDashboard({ onBack }) {
   return (
     <div className="dashboard-container">
       <div className="dashboard-header">
-        <h1>Progress Dashboard</h1>
+        <div>
+          <h1>Progress Dashboard</h1>
+          <p className="dashboard-profile">{getActiveProfile().name}</p>
+        </div>
         <button onClick={onBack} className="btn btn-secondary">Back to Quiz</button>
       </div>
 
@@ -114,6 +146,10 @@ function ProgressDashboard({ onBack }) {
           <div className="stat-value">{needsReview}</div>
           <div className="stat-label">Need Review</div>
         </div>
+        <div className="stat-card">
+          <div className="stat-value">{dueNow}</div>
+          <div className="stat-label">Due Now</div>
+        </div>
         <div className="stat-card">
           <div className="stat-value">{masteryBreakdown.flashcard}</div>
           <div className="stat-label">Flashcard</div>
@@ -137,6 +173,17 @@ function ProgressDashboard({ onBack }) {
       </div>
 
       <div className="controls">
+        <div className="filter-group">
+          <label>Deck:</label>
+          <select value={deckFilter} onChange={(e) => setDeckFilter(e.target.value)}>
+            <option value="all">All Flowers</option>
+            {initialDeckIds.length > 0 && <option value="selected">Selected Decks</option>}
+            {getDecks().map(deck => (
+              <option key={deck.id} value={deck.id}>{deck.name}</option>
+            ))}
+          </select>
+        </div>
+
         <div className="filter-group">
           <label>Filter:</label>
           <select value={filter} onChange={(e) => setFilter(e.target.value)}>
@@ -157,6 +204,7 @@ function ProgressDashboard({ onBack }) {
             <option value="stage">Mastery Stage</option>
             <option value="successRate">Success Rate</option>
             <option value="lastSeen">Last Seen</option>
+            <option value="dueDate">Next Review</option>
           </select>
         </div>
 
@@ -165,6 +213,14 @@ function ProgressDashboard({ onBack }) {
         </button>
       </div>
 
+      <BackupControls />
+
+      <SyncSettings />
+
+      <ProgressTrends flowers={flowerStats.map(s => s.flower.id)} />
+
+      <ConfusionMatrix flowers={flowerStats.map(s => s.flower)} onDrill={onConfusionDrill} />
+
       <div className="flowers-table">
         <table>
           <thead>
@@ -173,6 +229,7 @@ function ProgressDashboard({ onBack }) {
               <th>Scientific Name</th>
               <th>Stage</th>
               <th>Progress</th>
+              <th>Next Review</th>
               <th>Correct</th>
               <th>Incorrect</th>
               <th>Success Rate</th>
@@ -183,9 +240,15 @@ function ProgressDashboard({ onBack }) {
             {filteredStats.map((stat, index) => (
               <tr key={index} className={stat.needsReview ? 'needs-review' : ''}>
                 <td className="flower-name">{stat.flower.common[0]}</td>
-                <td className="scientific-name">{stat.flower.scientific}</td>
+                <td className="scientific-name">
+                  {stat.flower.scientific}
+                  {getScientificPartsText(stat) && (
+                    <div className="scientific-parts">{getScientificPartsText(stat)}</div>
+                  )}
+                </td>
                 <td>{getStageBadge(stat.stage)}</td>
                 <td className="progress-cell">{getProgressToNextStage(stat)}</td>
+                <td className="progress-cell">{getDueText(stat)}</td>
                 <td>{stat.correctCount}</td>
                 <td>{stat.incorrectCount}</td>
                 <td>
@@ -0,0 +1,264 @@
+import { useState } from 'react';
+import { getDailyActivity, getStageHistory, toDateKey } from './attemptLog';
+import { MasteryStage, STAGE_ORDER } from './storageService';
+import './ProgressTrends.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEATMAP_WEEKS = 26;
+
+const STAGE_STYLES = {
+  [MasteryStage.FLASHCARD]: { label: 'Flashcard', color: '#f57c00' },
+  [MasteryStage.MULTIPLE_CHOICE]: { label: 'Multiple Choice', color: '#1976d2' },
+  [MasteryStage.SHORT_ANSWER]: { label: 'Short Answer', color: '#7b1fa2' },
+  [MasteryStage.SCIENTIFIC_NAME]: { label: 'Scientific Name', color: '#388e3c' },
+  [MasteryStage.MASTERY]: { label: 'Mastery', color: '#c2185b' }
+};
+
+// Chart area in SVG units (scaled to the container width)
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 30;
+
+/**
+ * Date keys for the last n days, oldest first
+ * @param {number} days - Number of days up to today
+ * @returns {Array<string>} YYYY-MM-DD keys
+ */
+function lastDays(days) {
+  return Array.from({ length: days }, (_, i) => toDateKey(Date.now() - (days - 1 - i) * DAY_MS));
+}
+
+/**
+ * Format a date key for axis labels, e.g. "Oct 3"
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} Short date
+ */
+function formatDay(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Accuracy over a period
+ * @param {Array<Object>} activity - Daily activity { attempts, correct }
+ * @returns {Object} { attempts, accuracy } (accuracy is null without attempts)
+ */
+function summarize(activity) {
+  const attempts = activity.reduce((sum, day) => sum + day.attempts, 0);
+  const correct = activity.reduce((sum, day) => sum + day.correct, 0);
+  return { attempts, accuracy: attempts > 0 ? Math.round((correct / attempts) * 100) : null };
+}
+
+function ProgressTrends({ flowers }) {
+  const [days, setDays] = useState(30);
+
+  const activity = getDailyActivity({ flowers, since: Date.now() - (HEATMAP_WEEKS * 7 + 7) * DAY_MS });
+  const activityByDate = Object.fromEntries(activity.map(day => [day.date, day]));
+  const stageHistory = getStageHistory({ flowers, days });
+
+  // This week against the week before
+  const week = lastDays(14);
+  const thisWeek = summarize(week.slice(7).map(date => activityByDate[date]).filter(Boolean));
+  const lastWeek = summarize(week.slice(0, 7).map(date => activityByDate[date]).filter(Boolean));
+
+  if (activity.length === 0) {
+    return (
+      <div className="trends">
+        <h2>Trends</h2>
+        <p className="trends-empty">Answer a few quizzes to see your accuracy and progress over time.</p>
+      </div>
+    );
+  }
+
+  const renderAccuracyChart = () => {
+    const dates = lastDays(days);
+    const plotWidth = CHART_WIDTH - CHART_PADDING * 2;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING;
+    const x = (index) => CHART_PADDING + (dates.length > 1 ? (index / (dates.length - 1)) * plotWidth : plotWidth / 2);
+    const y = (accuracy) => 10 + (1 - accuracy / 100) * (plotHeight - 10);
+
+    const points = dates
+      .map((date, index) => {
+        const day = activityByDate[date];
+        return day ? { date, index, accuracy: Math.round((day.correct / day.attempts) * 100), attempts: day.attempts } : null;
+      })
+      .filter(Boolean);
+
+    return (
+      <svg className="trend-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label="Daily accuracy">
+        {[0, 50, 100].map(level => (
+          <g key={level}>
+            <line className="chart-grid" x1={CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y1={y(level)} y2={y(level)} />
+            <text className="chart-axis" x={CHART_PADDING - 6} y={y(level) + 4} textAnchor="end">{level}%</text>
+          </g>
+        ))}
+        <polyline
+          className="accuracy-line"
+          points={points.map(point => `${x(point.index)},${y(point.accuracy)}`).join(' ')}
+        />
+        {points.map(point => (
+          <circle key={point.date} className="accuracy-point" cx={x(point.index)} cy={y(point.accuracy)} r={4}>
+            <title>{`${formatDay(point.date)}: ${point.accuracy}% of ${point.attempts} answers`}</title>
+          </circle>
+        ))}
+        <text className="chart-axis" x={CHART_PADDING} y={CHART_HEIGHT - 4}>{formatDay(dates[0])}</text>
+        <text className="chart-axis" x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - 4} textAnchor="end">Today</text>
+      </svg>
+    );
+  };
+
+  const renderHeatmap = () => {
+    // Columns are weeks (Sunday first), ending with the current week
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - (HEATMAP_WEEKS - 1) * 7);
+    const cell = 12;
+    const gap = 3;
+
+    const getLevel = (attempts) => {
+      if (!attempts) return 0;
+      if (attempts < 5) return 1;
+      if (attempts < 10) return 2;
+      if (attempts < 20) return 3;
+      return 4;
+    };
+
+    const cells = [];
+    for (let week = 0; week < HEATMAP_WEEKS; week++) {
+      for (let weekday = 0; weekday < 7; weekday++) {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + week * 7 + weekday);
+        if (date > today) continue;
+        const key = toDateKey(date);
+        const day = activityByDate[key];
+        cells.push(
+          <rect
+            key={key}
+            className={`heatmap-cell level-${getLevel(day?.attempts)}`}
+            x={week * (cell + gap)}
+            y={weekday * (cell + gap)}
+            width={cell}
+            height={cell}
+            rx={2}
+          >
+            <title>
+              {day
+                ? `${formatDay(key)}: ${day.attempts} questions, ${Math.round((day.correct / day.attempts) * 100)}% correct`
+                : `${formatDay(key)}: no study`}
+            </title>
+          </rect>
+        );
+      }
+    }
+
+    return (
+      <svg
+        className="heatmap"
+        viewBox={`0 0 ${HEATMAP_WEEKS * (cell + gap)} ${7 * (cell + gap)}`}
+        role="img"
+        aria-label="Questions answered per day"
+      >
+        {cells}
+      </svg>
+    );
+  };
+
+  const renderStageChart = () => {
+    const plotWidth = CHART_WIDTH - CHART_PADDING * 2;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING;
+    const maxTotal = Math.max(1, ...stageHistory.map(day => Object.values(day.stages).reduce((a, b) => a + b, 0)));
+    const barWidth = plotWidth / stageHistory.length;
+
+    return (
+      <svg className="trend-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label="Flowers per stage">
+        <line className="chart-grid" x1={CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y1={plotHeight} y2={plotHeight} />
+        <text className="chart-axis" x={CHART_PADDING - 6} y={14} textAnchor="end">{maxTotal}</text>
+        {stageHistory.map((day, index) => {
+          let top = plotHeight;
+          return (
+            <g key={day.date}>
+              {STAGE_ORDER.map(stage => {
+                const count = day.stages[stage] || 0;
+                if (count === 0) return null;
+                const height = (count / maxTotal) * (plotHeight - 10);
+                top -= height;
+                return (
+                  <rect
+                    key={stage}
+                    x={CHART_PADDING + index * barWidth + 1}
+                    y={top}
+                    width={Math.max(barWidth - 2, 1)}
+                    height={height}
+                    fill={STAGE_STYLES[stage].color}
+                  >
+                    <title>{`${formatDay(day.date)}: ${count} ${STAGE_STYLES[stage].label}`}</title>
+                  </rect>
+                );
+              })}
+            </g>
+          );
+        })}
+        <text className="chart-axis" x={CHART_PADDING} y={CHART_HEIGHT - 4}>{formatDay(stageHistory[0].date)}</text>
+        <text className="chart-axis" x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - 4} textAnchor="end">Today</text>
+      </svg>
+    );
+  };
+
+  const accuracyChange = thisWeek.accuracy !== null && lastWeek.accuracy !== null
+    ? thisWeek.accuracy - lastWeek.accuracy
+    : null;
+
+  return (
+    <div className="trends">
+      <div className="trends-header">
+        <h2>Trends</h2>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          <option value={30}>Last 30 days</option>
+          <option value={90}>Last 90 days</option>
+        </select>
+      </div>
+
+      <p className="trends-summary">
+        This week: {thisWeek.attempts} questions
+        {thisWeek.accuracy !== null && <>, {thisWeek.accuracy}% correct</>}
+        {accuracyChange !== null && (
+          <span className={accuracyChange >= 0 ? 'trend-up' : 'trend-down'}>
+            {' '}({accuracyChange >= 0 ? '▲' : '▼'} {Math.abs(accuracyChange)} points vs last week)
+          </span>
+        )}
+      </p>
+
+      <div className="trends-grid">
+        <div className="trend-panel">
+          <h3>Daily Accuracy</h3>
+          {renderAccuracyChart()}
+        </div>
+
+        <div className="trend-panel">
+          <h3>Flowers per Stage</h3>
+          {renderStageChart()}
+          <div className="stage-legend">
+            {STAGE_ORDER.map(stage => (
+              <span key={stage}>
+                <span className="legend-swatch" style={{ background: STAGE_STYLES[stage].color }} />
+                {STAGE_STYLES[stage].label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="trend-panel trend-panel-wide">
+          <h3>Study Calendar</h3>
+          {renderHeatmap()}
+          <div className="heatmap-legend">
+            Less
+            {[0, 1, 2, 3, 4].map(level => (
+              <span key={level} className={`legend-cell level-${level}`} />
+            ))}
+            More
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProgressTrends;
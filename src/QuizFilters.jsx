@@ -0,0 +1,46 @@
+import { getDetailOptions } from './catalogService';
+import './QuizFilters.css';
+
+// Narrow the quiz by plant family, colour or season
+function QuizFilters({ flowers, filters, onChange }) {
+  const { families, colours, seasons } = getDetailOptions(flowers);
+
+  const updateFilter = (field, value) => {
+    onChange({ ...filters, [field]: value });
+  };
+
+  const hasFilters = filters.family || filters.colour || filters.season;
+
+  return (
+    <div className="quiz-filters">
+      <h3>Filter flowers</h3>
+      <div className="quiz-filter-controls">
+        <select value={filters.family} onChange={(e) => updateFilter('family', e.target.value)}>
+          <option value="">Any family</option>
+          {families.map(family => (
+            <option key={family} value={family}>{family}</option>
+          ))}
+        </select>
+        <select value={filters.colour} onChange={(e) => updateFilter('colour', e.target.value)}>
+          <option value="">Any colour</option>
+          {colours.map(colour => (
+            <option key={colour} value={colour}>{colour}</option>
+          ))}
+        </select>
+        <select value={filters.season} onChange={(e) => updateFilter('season', e.target.value)}>
+          <option value="">Any season</option>
+          {seasons.map(season => (
+            <option key={season} value={season}>{season}</option>
+          ))}
+        </select>
+        {hasFilters && (
+          <button onClick={() => onChange({ family: '', colour: '', season: '' })} className="btn-clear-filters">
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default QuizFilters;
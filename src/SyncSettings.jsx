@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { getSyncStatus, subscribeSync, connectSync, disconnectSync, syncNow } from './syncService';
+import { DEFAULT_SERVER_URL } from './serverApi';
+import './SyncSettings.css';
+
+// Connect this profile to a self-hosted sync server, so progress follows the learner across devices
+function SyncSettings() {
+  const [status, setStatus] = useState(getSyncStatus);
+  const [serverUrl, setServerUrl] = useState(DEFAULT_SERVER_URL);
+  const [token, setToken] = useState('');
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => subscribeSync(() => setStatus(getSyncStatus())), []);
+
+  const handleConnect = async (e) => {
+    e.preventDefault();
+    setConnecting(true);
+    setError('');
+    try {
+      await connectSync(serverUrl, token);
+      setToken('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setConnecting(false);
+    }
+  };
+
+  const handleDisconnect = () => {
+    if (confirm('Stop syncing this profile? Its progress stays on this device and on the server.')) {
+      disconnectSync();
+    }
+  };
+
+  if (!status.enabled) {
+    return (
+      <form className="sync-settings" onSubmit={handleConnect}>
+        <h3>Sync across devices</h3>
+        <p className="sync-hint">
+          Optional: connect to your own sync server (<code>npm run sync-server</code>) to share this
+          profile's progress between devices. Devices using the same token share progress.
+        </p>
+        <div className="sync-fields">
+          <input
+            type="url"
+            value={serverUrl}
+            onChange={(e) => setServerUrl(e.target.value)}
+            placeholder="Server address"
+            aria-label="Sync server address"
+            required
+          />
+          <input
+            type="password"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            placeholder="Access token"
+            aria-label="Access token"
+            autoComplete="off"
+            required
+          />
+          <button type="submit" className="btn btn-secondary" disabled={connecting}>
+            {connecting ? 'Connecting...' : 'Connect'}
+          </button>
+        </div>
+        {error && <p className="sync-error">{error}</p>}
+      </form>
+    );
+  }
+
+  return (
+    <div className="sync-settings">
+      <h3>Sync across devices</h3>
+      <p className="sync-status">
+        Syncing with <strong>{status.serverUrl}</strong>
+        {' · '}
+        {status.syncing
+          ? 'syncing now...'
+          : status.lastSyncedAt
+            ? `last synced ${new Date(status.lastSyncedAt).toLocaleString()}`
+            : 'not synced yet'}
+        {status.pending > 0 && ` · ${status.pending} change${status.pending === 1 ? '' : 's'} waiting`}
+      </p>
+      {status.lastError && <p className="sync-error">{status.lastError}</p>}
+      <div className="sync-fields">
+        <button onClick={syncNow} className="btn btn-secondary" disabled={status.syncing}>Sync Now</button>
+        <button onClick={handleDisconnect} className="btn btn-secondary">Disconnect</button>
+      </div>
+    </div>
+  );
+}
+
+export default SyncSettings;
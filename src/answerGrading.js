@@ -0,0 +1,356 @@
+// Answer grading for typed common and scientific names
+
+export const GradeResult = {
+  CORRECT: 'correct',
+  CLOSE: 'close', // Right answer, misspelled - credited with a spelling hint
+  PARTIAL: 'partial', // Binomial with only the genus or only the epithet right
+  WRONG: 'wrong'
+};
+
+// Partial answers shorter than this are never accepted ("a", "ros")
+const MIN_PARTIAL_LENGTH = 4;
+
+/**
+ * Normalize an answer for comparison: lowercase, no accents, punctuation
+ * and parentheses turned into spaces, whitespace collapsed
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+export function normalizeAnswer(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove spaces so "sweet pea" and "sweetpea" compare equal
+ * @param {string} normalized - Normalized text
+ * @returns {string} Text without spaces
+ */
+function compact(normalized) {
+  return normalized.replace(/ /g, '');
+}
+
+/**
+ * Remove a parenthetical qualifier: "Rosa (spray)" -> "Rosa"
+ * @param {string} name - Catalog name
+ * @returns {string} Name without qualifiers
+ */
+export function stripQualifier(name) {
+  return name.replace(/\s*\([^)]*\)/g, '').trim();
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Spelling mistakes tolerated for a name of this length
+ * @param {string} target - Compacted target name
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos(target) {
+  if (target.length <= 4) return 0;
+  if (target.length <= 8) return 1;
+  return 2;
+}
+
+/**
+ * The forms of a catalog name that count as a full answer:
+ * the name itself and, for qualified names, the name without the qualifier
+ * @param {string} name - Catalog name, e.g. "rose (standard)"
+ * @returns {Array<string>} Normalized acceptable forms
+ */
+function acceptedForms(name) {
+  const forms = [normalizeAnswer(name)];
+  const base = normalizeAnswer(stripQualifier(name));
+  if (base && !forms.includes(base)) forms.push(base);
+  return forms;
+}
+
+/**
+ * Compare an answer with a set of acceptable forms
+ * @param {string} answer - Normalized answer
+ * @param {Array<string>} forms - Normalized acceptable forms
+ * @returns {Object|null} { result, distance } or null if no form matches
+ */
+function matchForms(answer, forms) {
+  const answerCompact = compact(answer);
+  let best = null;
+
+  forms.forEach(form => {
+    const formCompact = compact(form);
+    const distance = editDistance(answerCompact, formCompact);
+
+    if (distance === 0) {
+      best = { result: GradeResult.CORRECT, distance: 0 };
+    } else if (distance <= allowedTypos(formCompact) && (!best || distance < best.distance)) {
+      best = { result: GradeResult.CLOSE, distance };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Check whether a partial answer is a whole-word part of a name
+ * ("gerbera" of "gerbera daisy") that no other flower uses
+ * @param {string} answer - Normalized answer
+ * @param {string} name - Normalized accepted name
+ * @param {Set<string>} otherWords - Words used in other flowers' names
+ * @returns {boolean} True if the partial answer identifies the flower
+ */
+function isDistinctivePartial(answer, name, otherWords) {
+  if (compact(answer).length < MIN_PARTIAL_LENGTH) return false;
+  if (!` ${name} `.includes(` ${answer} `)) return false;
+  return answer.split(' ').every(word => !otherWords.has(word));
+}
+
+/**
+ * Check whether an answer wraps a full name in extra descriptive words
+ * ("pink king protea" for "king protea") without naming a different flower.
+ * "calla lily" contains "lily" but is another flower's name, so it does not count.
+ * @param {string} answer - Normalized answer
+ * @param {string} form - Normalized accepted form
+ * @param {Array<string>} otherForms - Normalized names of other flowers
+ * @returns {boolean} True if the extra words only describe this flower
+ */
+function isDescribedName(answer, form, otherForms) {
+  if (compact(form).length < MIN_PARTIAL_LENGTH || !` ${answer} `.includes(` ${form} `)) return false;
+  // Other names inside this flower's own name ("protea" in "king protea") are no evidence against it
+  return !otherForms.some(other =>
+    ` ${answer} `.includes(` ${other} `) && !` ${form} `.includes(` ${other} `)
+  );
+}
+
+/**
+ * Grade a typed common name
+ * @param {string} answer - What the user typed
+ * @param {Array<string>} acceptedNames - The flower's common names
+ * @param {Object} options - { otherNames: common names of other flowers, used to reject answers
+ *   that are partial or that name another flower }
+ * @returns {Object} { result, matched } where matched is the accepted name that matched
+ */
+export function gradeCommonName(answer, acceptedNames, { otherNames = [] } = {}) {
+  const normalized = normalizeAnswer(answer);
+  if (!normalized) return { result: GradeResult.WRONG, matched: null };
+
+  let best = null;
+  const otherForms = otherNames.flatMap(acceptedForms);
+
+  acceptedNames.forEach(name => {
+    const forms = acceptedForms(name);
+    let match = matchForms(normalized, forms);
+
+    // Extra descriptive words around a full name are fine: "pink king protea" for "king protea"
+    if (!match && forms.some(form => isDescribedName(normalized, form, otherForms))) {
+      match = { result: GradeResult.CORRECT, distance: 0 };
+    }
+
+    if (match && (!best || match.distance < best.distance)) {
+      best = { ...match, matched: name };
+    }
+  });
+
+  if (best) {
+    return { result: best.result, matched: best.matched };
+  }
+
+  // Partial answers only count if they are distinctive to this flower
+  const otherWords = new Set(otherNames.flatMap(name => normalizeAnswer(name).split(' ')));
+  const partial = acceptedNames.find(name =>
+    acceptedForms(name).some(form => isDistinctivePartial(normalized, form, otherWords))
+  );
+  if (partial) {
+    return { result: GradeResult.CORRECT, matched: partial };
+  }
+
+  return { result: GradeResult.WRONG, matched: null };
+}
+
+/**
+ * Split a scientific name into genus and specific epithet
+ * @param {string} name - Scientific name, e.g. "Strelitzia reginae" or "Rosa (spray)"
+ * @returns {Object} { genus, epithet } where epithet is null for genus-only names
+ */
+export function splitBinomial(name) {
+  const [genus, ...rest] = stripQualifier(name).split(/\s+/);
+  return { genus, epithet: rest.length > 0 ? rest.join(' ') : null };
+}
+
+/**
+ * Grade one part of a binomial
+ * @param {string} answer - Typed part
+ * @param {string} expected - Correct part
+ * @returns {string} GradeResult value
+ */
+function gradePart(answer, expected) {
+  const normalized = normalizeAnswer(answer);
+  if (!normalized) return GradeResult.WRONG;
+  const match = matchForms(normalized, [normalizeAnswer(expected)]);
+  return match ? match.result : GradeResult.WRONG;
+}
+
+/**
+ * Combine genus and epithet grades into an overall result
+ * @param {string} genus - Genus GradeResult
+ * @param {string} epithet - Epithet GradeResult
+ * @returns {string} GradeResult value
+ */
+function combineParts(genus, epithet) {
+  const accepted = [genus, epithet].filter(result => result !== GradeResult.WRONG);
+  if (accepted.length === 0) return GradeResult.WRONG;
+  if (accepted.length === 1) return GradeResult.PARTIAL;
+  return accepted.includes(GradeResult.CLOSE) ? GradeResult.CLOSE : GradeResult.CORRECT;
+}
+
+/**
+ * Check binomial capitalization: capital genus, lowercase epithet
+ * @param {string} answer - What the user typed
+ * @returns {boolean} True if the answer follows the convention
+ */
+function isBinomialCapitalization(answer) {
+  const [genus = '', ...rest] = stripQualifier(answer.trim()).split(/\s+/);
+  return /^[A-Z]/.test(genus) && genus.slice(1) === genus.slice(1).toLowerCase()
+    && rest.every(word => word === word.toLowerCase());
+}
+
+/**
+ * Grade a typed scientific name. Parenthetical qualifiers are optional:
+ * "Rosa" and "Rosa spray" both count for "Rosa (spray)". Binomials are
+ * graded per part, so a right genus with a wrong epithet is a partial answer.
+ * @param {string} answer - What the user typed
+ * @param {string} scientificName - The flower's scientific name
+ * @returns {Object} { result, matched, genus, epithet, capitalizationOk }
+ *   genus/epithet are GradeResult values (epithet is null for genus-only names)
+ */
+export function gradeScientificName(answer, scientificName) {
+  const { genus, epithet } = splitBinomial(scientificName);
+  const normalized = normalizeAnswer(answer);
+  const capitalizationOk = isBinomialCapitalization(String(answer));
+
+  if (!normalized) {
+    return {
+      result: GradeResult.WRONG,
+      matched: null,
+      genus: GradeResult.WRONG,
+      epithet: epithet ? GradeResult.WRONG : null,
+      capitalizationOk
+    };
+  }
+
+  const [answerGenus, ...answerRest] = stripQualifier(String(answer).trim()).split(/\s+/);
+  const genusResult = gradePart(answerGenus, genus);
+  const epithetResult = epithet ? gradePart(answerRest.join(' '), epithet) : null;
+
+  // The whole name, with or without its qualifier. Parts that only match as
+  // a whole (e.g. a missing space) take the whole-name result.
+  const match = matchForms(normalized, acceptedForms(scientificName));
+  if (match) {
+    return {
+      result: match.result,
+      matched: scientificName,
+      genus: genusResult === GradeResult.WRONG ? match.result : genusResult,
+      epithet: epithet && epithetResult === GradeResult.WRONG ? match.result : epithetResult,
+      capitalizationOk
+    };
+  }
+
+  if (!epithet) {
+    return { result: GradeResult.WRONG, matched: null, genus: GradeResult.WRONG, epithet: null, capitalizationOk };
+  }
+
+  const result = combineParts(genusResult, epithetResult);
+
+  return {
+    result,
+    matched: result === GradeResult.WRONG ? null : scientificName,
+    genus: genusResult,
+    epithet: epithetResult,
+    capitalizationOk
+  };
+}
+
+/**
+ * Check whether a grade earns credit
+ * @param {Object} grade - Result of gradeCommonName/gradeScientificName
+ * @returns {boolean} True for correct and close answers
+ */
+export function isAccepted(grade) {
+  return grade.result === GradeResult.CORRECT || grade.result === GradeResult.CLOSE;
+}
+
+/**
+ * Overall result of a question's graded answers
+ * @param {Object} grades - { common, scientific } grades (either may be missing)
+ * @returns {string} 'correct', 'close' (credited but misspelled), 'partial'
+ *   (only the genus or only the epithet right) or 'incorrect'
+ */
+export function getGradesResult(grades) {
+  const results = Object.values(grades).map(grade => grade.result);
+  if (results.includes(GradeResult.WRONG)) return 'incorrect';
+  if (results.includes(GradeResult.PARTIAL)) return 'partial';
+  return results.includes(GradeResult.CLOSE) ? 'close' : 'correct';
+}
+
+/**
+ * Find the catalog flower a wrong answer names instead, e.g. "scabiosa"
+ * typed for a Leucospermum. Exact names win over partial names ("rose" is
+ * the rose, not the Christmas rose), which win over misspellings.
+ * @param {string} answer - What the user typed
+ * @param {Array} candidates - Flowers the answer may name (not the asked flower)
+ * @param {Object} options - { scientific: compare with scientific names instead of common names }
+ * @returns {Object|null} The named flower, or null if none or several fit equally well
+ */
+export function identifyFlower(answer, candidates, { scientific = false } = {}) {
+  const normalized = normalizeAnswer(answer);
+  if (!normalized) return null;
+
+  const exact = [];
+  const partial = [];
+  const close = [];
+  candidates.forEach(flower => {
+    if (scientific) {
+      const { result } = gradeScientificName(answer, flower.scientific);
+      if (result === GradeResult.CORRECT) exact.push(flower);
+      else if (result === GradeResult.CLOSE) close.push(flower);
+      return;
+    }
+
+    const otherNames = candidates.filter(other => other !== flower).flatMap(other => other.common);
+    const { result } = gradeCommonName(answer, flower.common, { otherNames });
+    if (result === GradeResult.CLOSE) {
+      close.push(flower);
+    } else if (result === GradeResult.CORRECT) {
+      const isExact = matchForms(normalized, flower.common.flatMap(acceptedForms))?.distance === 0;
+      (isExact ? exact : partial).push(flower);
+    }
+  });
+
+  // The best tier with any match decides; a tie there is ambiguous
+  const best = [exact, partial, close].find(matches => matches.length > 0);
+  return best?.length === 1 ? best[0] : null;
+}
@@ -0,0 +1,459 @@
+// Append-only log of every answer, with daily summaries for older history.
+// New attempts are saved in batches, like progress records (progressStore.js).
+import { profileKey, getActiveProfileId, subscribeProfile } from './profileService';
+
+const ATTEMPTS_KEY = 'floral_quiz_attempts';
+const SUMMARIES_KEY = 'floral_quiz_attempt_summaries';
+
+// Retention: individual attempts are kept for 90 days (at most 5000 of them);
+// older attempts are compacted into per-flower daily summaries
+export const RAW_RETENTION_DAYS = 90;
+export const MAX_RAW_ATTEMPTS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERSIST_DELAY_MS = 1000;
+
+let pending = []; // Attempts logged since the last save
+let pendingProfileId = null; // Profile they were logged under
+let persistTimer = null;
+
+/**
+ * @typedef {Object} Attempt
+ * @property {string} flower - Flower id
+ * @property {string} type - Question type ('flashcard', 'mc', 'short', 'scientific', 'mastery', 'reverse')
+ * @property {string} stage - Mastery stage the question was asked at
+ * @property {string|null} stageAfter - Mastery stage after the answer was recorded
+ * @property {string|Object|null} answer - What was given ({ common, scientific } for mastery questions)
+ * @property {string} result - 'correct', 'close', 'partial' or 'incorrect'
+ * @property {string|null} confusedWith - Id of the flower a wrong answer named instead
+ * @property {boolean} correct - True if the answer earned credit
+ * @property {number|null} responseMs - Time from question shown to answer submitted
+ * @property {string} timestamp - ISO time of the answer
+ */
+
+/**
+ * @typedef {Object} DailySummary
+ * @property {string} date - Local date (YYYY-MM-DD)
+ * @property {string} flower - Flower id
+ * @property {number} attempts - Number of attempts that day
+ * @property {number} correct - Number of credited attempts that day
+ * @property {number} totalResponseMs - Sum of recorded response times
+ * @property {number} timedAttempts - Attempts with a recorded response time
+ * @property {string|null} stage - Mastery stage after the day's last attempt
+ * @property {Object} confusions - { [flowerId]: count } of flowers it was mistaken for
+ */
+
+function readList(key, profileId = getActiveProfileId()) {
+  const data = localStorage.getItem(profileKey(key, profileId));
+  return data ? JSON.parse(data) : [];
+}
+
+function writeList(key, list, profileId = getActiveProfileId()) {
+  localStorage.setItem(profileKey(key, profileId), JSON.stringify(list));
+}
+
+/**
+ * Read the active profile's attempts, including those not saved yet
+ * @returns {Array<Attempt>} Attempts, oldest first
+ */
+function readAttempts() {
+  const stored = readList(ATTEMPTS_KEY);
+  return pendingProfileId === getActiveProfileId() ? [...stored, ...pending] : stored;
+}
+
+/**
+ * Check whether a localStorage write failed because storage is full
+ * @param {Error} error - Error thrown by setItem
+ * @returns {boolean} True for quota errors
+ */
+function isQuotaError(error) {
+  return error instanceof DOMException
+    && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Local calendar date of a timestamp
+ * @param {string|Date} timestamp - Time
+ * @returns {string} YYYY-MM-DD
+ */
+export function toDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Append an attempt to the log; it is saved after a short delay
+ * @param {Object} attempt - Attempt without timestamp (see Attempt)
+ * @returns {Attempt} The stored attempt
+ */
+export function logAttempt(attempt) {
+  const entry = {
+    flower: attempt.flower,
+    type: attempt.type,
+    stage: attempt.stage,
+    stageAfter: attempt.stageAfter ?? null,
+    answer: attempt.answer ?? null,
+    result: attempt.result,
+    confusedWith: attempt.confusedWith ?? null,
+    correct: attempt.result === 'correct' || attempt.result === 'close',
+    responseMs: Number.isFinite(attempt.responseMs) ? Math.round(attempt.responseMs) : null,
+    timestamp: attempt.timestamp || new Date().toISOString()
+  };
+
+  if (pendingProfileId !== getActiveProfileId()) {
+    flushAttempts();
+    pendingProfileId = getActiveProfileId();
+  }
+  pending.push(entry);
+  if (!persistTimer) {
+    persistTimer = setTimeout(flushAttempts, PERSIST_DELAY_MS);
+  }
+  return entry;
+}
+
+/**
+ * Save attempts logged since the last save. If storage is full, they are
+ * still saved: older attempts are moved into daily summaries instead.
+ */
+export function flushAttempts() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  if (pending.length === 0) return;
+
+  const attempts = [...readList(ATTEMPTS_KEY, pendingProfileId), ...pending];
+  const profileId = pendingProfileId;
+  pending = [];
+  try {
+    saveAttempts(attempts, profileId);
+  } catch (error) {
+    console.error('Failed to save answer history:', error);
+  }
+}
+
+/**
+ * Apply the retention rules to an attempt list and save it. While storage
+ * is full, the number of attempts kept individually is halved until it fits.
+ * @param {Array<Attempt>} attempts - Attempts, oldest first
+ * @param {string} profileId - Profile they belong to
+ */
+function saveAttempts(attempts, profileId) {
+  let maxRaw = MAX_RAW_ATTEMPTS;
+  for (;;) {
+    const { kept, summaries } = compactAttempts(attempts, readList(SUMMARIES_KEY, profileId), { maxRaw });
+    try {
+      // Attempts first: the shorter list frees the space the summaries need
+      writeList(ATTEMPTS_KEY, kept, profileId);
+      if (summaries) writeList(SUMMARIES_KEY, summaries, profileId);
+      return;
+    } catch (error) {
+      if (!isQuotaError(error) || maxRaw === 0) throw error;
+      maxRaw = Math.floor(Math.min(maxRaw, kept.length) / 2);
+    }
+  }
+}
+
+/**
+ * Move attempts past the retention rules into daily summaries
+ * @param {Array<Attempt>} attempts - Attempts, oldest first
+ * @param {Array<DailySummary>} summaries - Stored summaries (updated in place)
+ * @param {Object} options - { maxRaw: attempts kept individually at most, now: current time }
+ * @returns {Object} { kept: attempts still kept individually, summaries: updated list, or null if unchanged }
+ */
+function compactAttempts(attempts, summaries, { maxRaw = MAX_RAW_ATTEMPTS, now = new Date() } = {}) {
+  const cutoff = now.getTime() - RAW_RETENTION_DAYS * DAY_MS;
+  let keepFrom = attempts.findIndex(attempt => new Date(attempt.timestamp).getTime() >= cutoff);
+  if (keepFrom === -1) keepFrom = attempts.length;
+  keepFrom = Math.max(keepFrom, attempts.length - maxRaw);
+
+  if (keepFrom === 0) return { kept: attempts, summaries: null };
+
+  attempts.slice(0, keepFrom).forEach(attempt => {
+    const date = toDateKey(attempt.timestamp);
+    let summary = summaries.find(s => s.date === date && s.flower === attempt.flower);
+    if (!summary) {
+      summary = { date, flower: attempt.flower, attempts: 0, correct: 0, totalResponseMs: 0, timedAttempts: 0, stage: null, confusions: {} };
+      summaries.push(summary);
+    }
+    summary.attempts++;
+    if (attempt.confusedWith) {
+      summary.confusions = summary.confusions || {};
+      summary.confusions[attempt.confusedWith] = (summary.confusions[attempt.confusedWith] || 0) + 1;
+    }
+    summary.stage = attempt.stageAfter ?? summary.stage;
+    if (attempt.correct) summary.correct++;
+    if (attempt.responseMs !== null) {
+      summary.totalResponseMs += attempt.responseMs;
+      summary.timedAttempts++;
+    }
+  });
+
+  return { kept: attempts.slice(keepFrom), summaries };
+}
+
+/**
+ * Apply the retention rules now (they also run whenever new attempts are saved)
+ */
+export function compactAttemptLog() {
+  flushAttempts();
+  saveAttempts(readList(ATTEMPTS_KEY), getActiveProfileId());
+}
+
+/**
+ * Query individual attempts
+ * @param {Object} filters - { flower, type, stage, since, until, limit } (all optional)
+ * @returns {Array<Attempt>} Matching attempts, oldest first (the most recent `limit` if given)
+ */
+export function getAttempts({ flower, type, stage, since, until, limit } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : -Infinity;
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+
+  const matches = readAttempts().filter(attempt => {
+    const time = new Date(attempt.timestamp).getTime();
+    return (!flower || attempt.flower === flower)
+      && (!type || attempt.type === type)
+      && (!stage || attempt.stage === stage)
+      && time >= sinceTime
+      && time <= untilTime;
+  });
+
+  return limit ? matches.slice(-limit) : matches;
+}
+
+/**
+ * Get the compacted daily summaries
+ * @param {Object} filters - { flower } (optional)
+ * @returns {Array<DailySummary>} Summaries
+ */
+export function getDailySummaries({ flower } = {}) {
+  return readList(SUMMARIES_KEY).filter(summary => !flower || summary.flower === flower);
+}
+
+/**
+ * Attempts and accuracy per day, combining individual attempts and summaries
+ * @param {Object} filters - { flowers: Array of flower ids, since } (optional)
+ * @returns {Array<Object>} [{ date, attempts, correct }] sorted by date
+ */
+export function getDailyActivity({ flowers, since } = {}) {
+  const included = flowers ? new Set(flowers) : null;
+  const sinceKey = since ? toDateKey(since) : null;
+  const days = {};
+
+  const add = (date, flower, attempts, correct) => {
+    if (included && !included.has(flower)) return;
+    if (sinceKey && date < sinceKey) return;
+    days[date] = days[date] || { date, attempts: 0, correct: 0 };
+    days[date].attempts += attempts;
+    days[date].correct += correct;
+  };
+
+  readList(SUMMARIES_KEY).forEach(summary => add(summary.date, summary.flower, summary.attempts, summary.correct));
+  readAttempts().forEach(attempt => add(toDateKey(attempt.timestamp), attempt.flower, 1, attempt.correct ? 1 : 0));
+
+  return Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * How many flowers were at each mastery stage at the end of each day,
+ * reconstructed from the stage recorded after every attempt.
+ * Flowers with no attempts yet are not counted.
+ * @param {Object} options - { flowers: Array of flower ids, days: number of days up to today (default 30) }
+ * @returns {Array<Object>} [{ date, stages: { [stage]: count } }] oldest first
+ */
+export function getStageHistory({ flowers, days = 30 } = {}) {
+  const included = flowers ? new Set(flowers) : null;
+
+  // Stage changes per flower, oldest first
+  const changes = [
+    ...readList(SUMMARIES_KEY).map(summary => ({ date: summary.date, flower: summary.flower, stage: summary.stage })),
+    ...readAttempts().map(attempt => ({ date: toDateKey(attempt.timestamp), flower: attempt.flower, stage: attempt.stageAfter }))
+  ]
+    .filter(change => change.stage && (!included || included.has(change.flower)))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const currentStage = {};
+  let next = 0;
+  const history = [];
+
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = toDateKey(Date.now() - offset * DAY_MS);
+    while (next < changes.length && changes[next].date <= date) {
+      currentStage[changes[next].flower] = changes[next].stage;
+      next++;
+    }
+
+    const stages = {};
+    Object.values(currentStage).forEach(stage => {
+      stages[stage] = (stages[stage] || 0) + 1;
+    });
+    history.push({ date, stages });
+  }
+
+  return history;
+}
+
+/**
+ * Lifetime answer statistics for a flower, including compacted history
+ * @param {string} flowerId - The flower's id
+ * @returns {Object} { attempts, correct, accuracy, averageResponseMs, lastAttempt }
+ */
+export function getFlowerAttemptStats(flowerId) {
+  const attempts = getAttempts({ flower: flowerId });
+  const summaries = getDailySummaries({ flower: flowerId });
+
+  let total = 0;
+  let correct = 0;
+  let responseMs = 0;
+  let timed = 0;
+
+  summaries.forEach(summary => {
+    total += summary.attempts;
+    correct += summary.correct;
+    responseMs += summary.totalResponseMs;
+    timed += summary.timedAttempts;
+  });
+  attempts.forEach(attempt => {
+    total++;
+    if (attempt.correct) correct++;
+    if (attempt.responseMs !== null) {
+      responseMs += attempt.responseMs;
+      timed++;
+    }
+  });
+
+  return {
+    attempts: total,
+    correct,
+    accuracy: total > 0 ? Math.round((correct / total) * 100) : 0,
+    averageResponseMs: timed > 0 ? Math.round(responseMs / timed) : null,
+    lastAttempt: attempts[attempts.length - 1] || null
+  };
+}
+
+/**
+ * How often each flower was mistaken for another, combining individual
+ * attempts and summaries
+ * @param {Object} filters - { flowers: Array of flower ids asked about } (optional)
+ * @returns {Array<Object>} [{ flower, confusedWith, count, attempts, rate }] most frequent first,
+ *   where rate is the share of the flower's attempts answered as confusedWith
+ */
+export function getConfusions({ flowers } = {}) {
+  const included = flowers ? new Set(flowers) : null;
+  const attempts = {};
+  const pairs = {};
+
+  const add = (flower, count, confusions) => {
+    if (included && !included.has(flower)) return;
+    attempts[flower] = (attempts[flower] || 0) + count;
+    Object.entries(confusions).forEach(([confusedWith, times]) => {
+      const key = `${flower}|${confusedWith}`;
+      pairs[key] = pairs[key] || { flower, confusedWith, count: 0 };
+      pairs[key].count += times;
+    });
+  };
+
+  readList(SUMMARIES_KEY).forEach(summary => add(summary.flower, summary.attempts, summary.confusions || {}));
+  readAttempts().forEach(attempt =>
+    add(attempt.flower, 1, attempt.confusedWith ? { [attempt.confusedWith]: 1 } : {})
+  );
+
+  return Object.values(pairs)
+    .map(pair => ({ ...pair, attempts: attempts[pair.flower], rate: pair.count / attempts[pair.flower] }))
+    .sort((a, b) => b.count - a.count || b.rate - a.rate);
+}
+
+/**
+ * Raw log data for backups
+ * @returns {Object} { attempts, summaries }
+ */
+export function getAttemptLogData() {
+  flushAttempts();
+  return { attempts: readList(ATTEMPTS_KEY), summaries: readList(SUMMARIES_KEY) };
+}
+
+/**
+ * Check log data from a backup
+ * @param {Object} data - { attempts, summaries }
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateAttemptLogData(data) {
+  if (!data || !Array.isArray(data.attempts) || !Array.isArray(data.summaries)) {
+    return ['Answer history must contain attempts and summaries lists'];
+  }
+  const badAttempt = data.attempts.findIndex(attempt =>
+    !attempt || typeof attempt.flower !== 'string' || Number.isNaN(Date.parse(attempt.timestamp))
+  );
+  const badSummary = data.summaries.findIndex(summary =>
+    !summary || typeof summary.flower !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(summary.date)
+      || !Number.isInteger(summary.attempts) || !Number.isInteger(summary.correct)
+  );
+
+  const errors = [];
+  if (badAttempt !== -1) errors.push(`Answer history: attempt ${badAttempt + 1} is malformed`);
+  if (badSummary !== -1) errors.push(`Answer history: daily summary ${badSummary + 1} is malformed`);
+  return errors;
+}
+
+/**
+ * Restore log data from a backup
+ * @param {Object} data - { attempts, summaries } (validated)
+ * @param {string} mode - 'replace' or 'merge' (union of both histories)
+ */
+export function restoreAttemptLog(data, mode) {
+  flushAttempts();
+  if (mode === 'replace') {
+    writeList(ATTEMPTS_KEY, data.attempts);
+    writeList(SUMMARIES_KEY, data.summaries);
+  } else {
+    const localSummaries = readList(SUMMARIES_KEY);
+    // A day one side already compacted would be counted twice if the other
+    // side's raw attempts for it were kept next to (or folded into) its summary
+    const summarized = summaries => new Set(summaries.map(summary => `${summary.flower}|${summary.date}`));
+    const notIn = days => attempt => !days.has(`${attempt.flower}|${toDateKey(attempt.timestamp)}`);
+    const localAttempts = readList(ATTEMPTS_KEY).filter(notIn(summarized(data.summaries)));
+    const incomingAttempts = data.attempts.filter(notIn(summarized(localSummaries)));
+
+    // The same attempt has the same flower and timestamp on every device
+    const seen = new Set();
+    const attempts = [...localAttempts, ...incomingAttempts]
+      .filter(attempt => {
+        const key = `${attempt.flower}|${attempt.timestamp}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    // Matching summaries were compacted from the same attempts; keep the fuller one
+    const summaries = {};
+    [...localSummaries, ...data.summaries].forEach(summary => {
+      const key = `${summary.flower}|${summary.date}`;
+      if (!summaries[key] || summary.attempts > summaries[key].attempts) {
+        summaries[key] = summary;
+      }
+    });
+
+    writeList(ATTEMPTS_KEY, attempts);
+    writeList(SUMMARIES_KEY, Object.values(summaries));
+  }
+  compactAttemptLog();
+}
+
+/**
+ * Delete the whole attempt history
+ */
+export function clearAttemptLog() {
+  flushAttempts();
+  localStorage.removeItem(profileKey(ATTEMPTS_KEY));
+  localStorage.removeItem(profileKey(SUMMARIES_KEY));
+}
+
+subscribeProfile(flushAttempts);
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', flushAttempts);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushAttempts();
+  });
+}
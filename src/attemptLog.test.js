@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { restoreAttemptLog, getAttemptLogData, getDailyActivity, toDateKey } from './attemptLog';
+
+// Old enough that the day is compacted by the retention rules
+const OLD_DAY = new Date(Date.now() - 120 * 24 * 60 * 60 * 1000);
+// Recent enough that its attempts stay raw
+const RECENT_DAY = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+
+function attemptOn(day, hour, correct) {
+  const time = new Date(day);
+  time.setHours(hour, 0, 0, 0);
+  return {
+    flower: 'rosa', type: 'mc', stage: 'mc', stageAfter: 'mc', answer: 'rose',
+    result: correct ? 'correct' : 'incorrect', confusedWith: null, correct,
+    responseMs: 1000, timestamp: time.toISOString()
+  };
+}
+
+function summaryOf(attempts) {
+  return {
+    date: toDateKey(attempts[0].timestamp),
+    flower: attempts[0].flower,
+    attempts: attempts.length,
+    correct: attempts.filter(a => a.correct).length,
+    totalResponseMs: attempts.length * 1000,
+    timedAttempts: attempts.length,
+    stage: 'mc',
+    confusions: {}
+  };
+}
+
+function activityOn(day) {
+  return getDailyActivity().find(entry => entry.date === toDateKey(day));
+}
+
+describe('restoreAttemptLog (merge)', () => {
+  beforeEach(() => {
+    const store = new Map();
+    globalThis.localStorage = {
+      getItem: key => store.get(key) ?? null,
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: key => store.delete(key)
+    };
+  });
+
+  it('does not double a day this device compacted when the backup has its raw attempts', () => {
+    const day = [attemptOn(OLD_DAY, 9, true), attemptOn(OLD_DAY, 10, false), attemptOn(OLD_DAY, 11, true)];
+    restoreAttemptLog({ attempts: [], summaries: [summaryOf(day)] }, 'replace');
+
+    restoreAttemptLog({ attempts: day, summaries: [] }, 'merge');
+
+    expect(activityOn(OLD_DAY)).toEqual({ date: toDateKey(OLD_DAY), attempts: 3, correct: 2 });
+    expect(getAttemptLogData().summaries).toHaveLength(1);
+  });
+
+  it('does not double a day the backup compacted when this device has its raw attempts', () => {
+    const day = [attemptOn(RECENT_DAY, 9, true), attemptOn(RECENT_DAY, 10, false)];
+    restoreAttemptLog({ attempts: day, summaries: [] }, 'replace');
+
+    restoreAttemptLog({ attempts: [], summaries: [summaryOf(day)] }, 'merge');
+
+    expect(activityOn(RECENT_DAY)).toEqual({ date: toDateKey(RECENT_DAY), attempts: 2, correct: 1 });
+    expect(getAttemptLogData().attempts).toHaveLength(0);
+  });
+
+  it('keeps raw attempts from both sides for days neither side compacted', () => {
+    const local = attemptOn(RECENT_DAY, 9, true);
+    const incoming = attemptOn(RECENT_DAY, 10, false);
+    restoreAttemptLog({ attempts: [local], summaries: [] }, 'replace');
+
+    restoreAttemptLog({ attempts: [local, incoming], summaries: [] }, 'merge');
+
+    expect(getAttemptLogData().attempts).toEqual([local, incoming]);
+  });
+});
@@ -0,0 +1,209 @@
+// Versioned, checksummed backups of progress, answer history, custom decks and exam records
+import { getProgress, setProgress, validateProgressData, pickNewerRecord } from './storageService';
+import { getAttemptLogData, validateAttemptLogData, restoreAttemptLog } from './attemptLog';
+import { getCustomDeckData, validateCustomDecks, restoreCustomDecks } from './deckService';
+import { getExamRecords, validateExamRecords, restoreExamRecords } from './examService';
+import { SCHEMA_VERSION, migrateState } from './migrations';
+import { CATALOG_EDITS_KEY } from './catalogService';
+
+const BACKUP_APP_ID = 'floral-quiz-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} app - Always 'floral-quiz-backup'
+ * @property {number} version - Backup format version
+ * @property {number} schemaVersion - Storage schema the data was saved at (missing = 0)
+ * @property {string} exportedAt - ISO time of export
+ * @property {string} checksum - FNV-1a hash of the serialized data
+ * @property {Object} data - { progress, history: { attempts, summaries }, decks, exams }
+ *   (exams is missing from backups made before mock exams)
+ */
+
+/**
+ * 32-bit FNV-1a hash, enough to catch truncated or hand-edited files
+ * @param {string} text - Text to hash
+ * @returns {string} 8-digit hex hash
+ */
+function checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build a backup of everything on this device
+ * @returns {Backup} Backup object
+ */
+export function createBackup() {
+  const data = {
+    progress: getProgress(),
+    history: getAttemptLogData(),
+    decks: getCustomDeckData(),
+    exams: getExamRecords()
+  };
+
+  return {
+    app: BACKUP_APP_ID,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    checksum: checksum(JSON.stringify(data)),
+    data
+  };
+}
+
+/**
+ * Download a backup file
+ */
+export function downloadBackup() {
+  const backup = createBackup();
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `floral-quiz-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Bring backup data saved by an older version of the app up to the current
+ * storage schema, e.g. progress keyed by scientific name rather than flower id
+ * @param {Object} data - Backup data
+ * @param {number} schemaVersion - Schema the data was saved at
+ * @returns {Object} Migrated backup data
+ */
+function migrateBackupData(data, schemaVersion) {
+  if (schemaVersion === SCHEMA_VERSION) return { ...data, exams: data.exams ?? [] };
+
+  // Catalog edits and image curation are not in backups; migrate against this device's catalog
+  const catalogEdits = JSON.parse(localStorage.getItem(CATALOG_EDITS_KEY) || 'null');
+  const migrated = migrateState({
+    progress: data.progress,
+    attempts: data.history.attempts,
+    summaries: data.history.summaries,
+    decks: data.decks,
+    exams: data.exams,
+    ...(catalogEdits && { catalogEdits: { added: [], edited: {}, removed: [], ...catalogEdits } })
+  }, schemaVersion);
+
+  return {
+    progress: migrated.progress,
+    history: { attempts: migrated.attempts, summaries: migrated.summaries },
+    decks: migrated.decks,
+    exams: migrated.exams
+  };
+}
+
+/**
+ * Parse and validate a backup file
+ * @param {string} text - File contents
+ * @returns {Backup} The backup, migrated to the current schema
+ * @throws {Error} If the file is not a valid backup
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (!backup || backup.app !== BACKUP_APP_ID || !backup.data) {
+    throw new Error('This file is not a Floral Quiz backup.');
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${backup.version} is not supported by this version of the app.`);
+  }
+  if (checksum(JSON.stringify(backup.data)) !== backup.checksum) {
+    throw new Error('The backup is damaged or was edited (checksum mismatch).');
+  }
+
+  const schemaVersion = backup.schemaVersion ?? 0;
+  if (!Number.isInteger(schemaVersion) || schemaVersion > SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of the app.');
+  }
+  let migrated;
+  try {
+    migrated = migrateBackupData(backup.data, schemaVersion);
+  } catch {
+    throw new Error('The backup contains invalid data: missing or malformed progress, history, decks or exams');
+  }
+
+  const { progress, history, decks, exams } = migrated;
+  const errors = [
+    ...validateProgressData(progress),
+    ...validateAttemptLogData(history),
+    ...validateCustomDecks(decks),
+    ...validateExamRecords(exams)
+  ];
+  if (errors.length > 0) {
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    throw new Error(`The backup contains invalid data: ${errors.slice(0, 3).join('; ')}${more}`);
+  }
+
+  return { ...backup, schemaVersion: SCHEMA_VERSION, data: { progress, history, decks, exams } };
+}
+
+/**
+ * Summarize what importing a backup would do
+ * @param {Backup} backup - Parsed backup
+ * @returns {Object} { exportedAt, flowers, attempts, decks, exams, newFlowers, newerInBackup, newerHere }
+ */
+export function previewBackup(backup) {
+  const local = getProgress();
+  const incoming = backup.data.progress;
+
+  let newFlowers = 0;
+  let newerInBackup = 0;
+  let newerHere = 0;
+  Object.entries(incoming).forEach(([flowerId, record]) => {
+    if (!local[flowerId]) {
+      newFlowers++;
+    } else if (pickNewerRecord(local[flowerId], record) === record) {
+      newerInBackup++;
+    } else {
+      newerHere++;
+    }
+  });
+
+  return {
+    exportedAt: backup.exportedAt,
+    flowers: Object.keys(incoming).length,
+    attempts: backup.data.history.attempts.length,
+    decks: backup.data.decks.length,
+    exams: backup.data.exams.length,
+    newFlowers,
+    newerInBackup,
+    newerHere
+  };
+}
+
+/**
+ * Restore a backup
+ * @param {Backup} backup - Parsed backup
+ * @param {string} mode - 'replace' (discard this device's data) or 'merge'
+ *   (per flower, keep the more advanced / more recent record)
+ */
+export function restoreBackup(backup, mode) {
+  const { progress, history, decks, exams } = backup.data;
+
+  if (mode === 'replace') {
+    setProgress(progress);
+  } else {
+    const merged = { ...getProgress() };
+    Object.entries(progress).forEach(([flowerId, record]) => {
+      merged[flowerId] = pickNewerRecord(merged[flowerId], record);
+    });
+    setProgress(merged);
+  }
+
+  restoreAttemptLog(history, mode);
+  restoreCustomDecks(decks, mode);
+  restoreExamRecords(exams, mode);
+}
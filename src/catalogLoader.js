@@ -0,0 +1,399 @@
+// Catalog loader: parses flower study lists (flowerlist.md, JSON or CSV)
+// into { id, scientific, common, listPriority } records, plus optional
+// botanical details { family, colours, seasons, vaseLife, care }
+import { toFlowerId } from './flowerIds';
+
+// Colours a flower can be listed in
+export const FLOWER_COLOURS = [
+  'white', 'cream', 'yellow', 'orange', 'peach', 'pink', 'red', 'burgundy',
+  'purple', 'lavender', 'blue', 'green', 'brown', 'silver'
+];
+
+// 'year-round' is for flowers with no particular season
+export const SEASONS = ['spring', 'summer', 'autumn', 'winter', 'year-round'];
+
+// Section headings in flowerlist.md and the listPriority they map to
+const SECTION_PRIORITIES = [
+  { pattern: /ID List #2/i, priority: 1 },
+  { pattern: /ID List #1/i, priority: 2 },
+  { pattern: /Foliage/i, priority: 3 }
+];
+
+/**
+ * Remove the citation markers left in flowerlist.md, e.g. "[cite_start]" and "[cite: 7]"
+ * @param {string} line - Raw markdown line
+ * @returns {string} Line without citations
+ */
+function stripCitations(line) {
+  return line
+    .replace(/\[cite_start\]/g, '')
+    .replace(/\[cite:[^\]]*\]/g, '')
+    .trim();
+}
+
+/**
+ * Normalize a scientific name from markdown, e.g.
+ * "*Chrysanthemum* (Filler - button)" -> "Chrysanthemum (button)"
+ * @param {string} value - Raw scientific name
+ * @returns {string} Scientific name
+ */
+function cleanScientificName(value) {
+  return value
+    .replace(/\*/g, '')
+    .replace(/\(([^()]*?)\s+-\s+([^()]+)\)/g, '($2)') // Drop the list category before " - "
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a list of common names ("pitt or variegated pitt, variegated pittosporum")
+ * @param {string|Array} value - Comma/"or" separated names or an array of names
+ * @returns {Array<string>} Common names
+ */
+function splitCommonNames(value) {
+  const names = Array.isArray(value) ? value : String(value).split(/,|;|\|| or /);
+  return names.map(name => String(name).trim()).filter(Boolean);
+}
+
+/**
+ * Split a list of details ("red, pink" or ["red", "pink"]) into lowercase values
+ * @param {string|Array} value - Comma separated values or an array
+ * @returns {Array<string>} Values
+ */
+function splitDetailList(value) {
+  const values = Array.isArray(value) ? value : String(value).split(/,|;|\|/);
+  return values.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+// Detail bullets in flowerlist.md, by field
+const MARKDOWN_DETAILS = {
+  family: /\*\*Family:\*\*\s*(.*)$/,
+  colours: /\*\*Colou?rs?:\*\*\s*(.*)$/,
+  seasons: /\*\*Seasons?:\*\*\s*(.*)$/,
+  vaseLife: /\*\*Vase Life:\*\*\s*(.*)$/,
+  care: /\*\*Care:\*\*\s*(.*)$/
+};
+
+/**
+ * Parse the flowerlist.md format
+ * @param {string} text - Markdown text
+ * @returns {Array} Raw flower records (not yet validated)
+ */
+export function parseFlowerListMarkdown(text) {
+  const records = [];
+  let priority = 1;
+  let sectionCount = 0;
+  let current = null;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = stripCitations(rawLine);
+
+    const heading = line.match(/^#{2,}\s+(.*)$/);
+    if (heading) {
+      sectionCount++;
+      const known = SECTION_PRIORITIES.find(section => section.pattern.test(heading[1]));
+      priority = known ? known.priority : sectionCount;
+      current = null;
+      return;
+    }
+
+    const scientific = line.match(/\*\*Scientific Name:\*\*\s*(.*)$/);
+    if (scientific) {
+      current = {
+        scientific: cleanScientificName(scientific[1]),
+        common: [],
+        listPriority: priority,
+        line: index + 1
+      };
+      records.push(current);
+      return;
+    }
+
+    const common = line.match(/\*\*Common Name\(s\):\*\*\s*(.*)$/);
+    if (common && current) {
+      current.common = splitCommonNames(common[1]);
+      return;
+    }
+
+    if (current) {
+      Object.entries(MARKDOWN_DETAILS).forEach(([field, pattern]) => {
+        const detail = line.match(pattern);
+        if (detail) current[field] = detail[1].trim();
+      });
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Parse a JSON catalog: an array of flowers or { flowers: [...] }
+ * @param {string} text - JSON text
+ * @returns {Array} Raw flower records (not yet validated)
+ */
+export function parseFlowerJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data && data.flowers;
+  if (!Array.isArray(list)) {
+    throw new Error('JSON catalog must be an array of flowers or { "flowers": [...] }');
+  }
+
+  return list.map((item, index) => ({
+    id: typeof item.id === 'string' ? item.id.trim() : undefined,
+    scientific: typeof item.scientific === 'string' ? item.scientific.trim() : '',
+    common: item.common ? splitCommonNames(item.common) : [],
+    listPriority: item.listPriority,
+    family: item.family,
+    colours: item.colours,
+    seasons: item.seasons,
+    vaseLife: item.vaseLife,
+    care: item.care,
+    line: index + 1
+  }));
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Parse a CSV catalog with a header row: scientific,common,listPriority and
+ * optionally id,family,colours,seasons,vaseLife,care.
+ * Multiple common names, colours or seasons go in one field separated by ";" or "|".
+ * @param {string} text - CSV text
+ * @returns {Array} Raw flower records (not yet validated)
+ */
+export function parseFlowerCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const header = splitCsvLine(lines[0] || '').map(name => name.toLowerCase());
+  const columns = {
+    id: header.indexOf('id'),
+    scientific: header.indexOf('scientific'),
+    common: header.indexOf('common'),
+    listPriority: header.indexOf('listpriority'),
+    family: header.indexOf('family'),
+    colours: header.indexOf('colours'),
+    seasons: header.indexOf('seasons'),
+    vaseLife: header.indexOf('vaselife'),
+    care: header.indexOf('care')
+  };
+
+  if (columns.scientific === -1 || columns.common === -1) {
+    throw new Error('CSV catalog needs "scientific" and "common" columns');
+  }
+
+  const records = [];
+  lines.slice(1).forEach((line, index) => {
+    if (!line.trim()) return;
+    const fields = splitCsvLine(line);
+    const optional = column => (column === -1 ? undefined : fields[column] || undefined);
+    records.push({
+      id: columns.id === -1 ? undefined : (fields[columns.id] || '').trim() || undefined,
+      scientific: fields[columns.scientific] || '',
+      common: splitCommonNames((fields[columns.common] || '').replace(/,/g, ';')),
+      listPriority: columns.listPriority === -1 ? undefined : fields[columns.listPriority],
+      family: optional(columns.family),
+      colours: optional(columns.colours),
+      seasons: optional(columns.seasons),
+      vaseLife: optional(columns.vaseLife),
+      care: optional(columns.care),
+      line: index + 2
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Parse a vase life: "7-10 days", "14", 14 or { min, max }
+ * @param {string|number|Object} value - Vase life in days
+ * @returns {Object|null} { min, max } days, or null if not a valid range
+ */
+export function parseVaseLife(value) {
+  let min;
+  let max;
+  if (value && typeof value === 'object') {
+    ({ min, max } = value);
+  } else {
+    const match = String(value).trim().match(/^(\d+)(?:\s*(?:-|–|to)\s*(\d+))?(?:\s*days?)?$/i);
+    if (!match) return null;
+    min = Number(match[1]);
+    max = match[2] ? Number(match[2]) : min;
+  }
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) return null;
+  return { min, max };
+}
+
+/**
+ * Validate the optional botanical details of a record. Invalid details are
+ * reported and left out; they never drop the flower itself.
+ * @param {Object} record - Raw flower record
+ * @param {string} where - Location for error messages
+ * @returns {Object} { details, errors } where details holds only the valid, present fields
+ */
+export function validateFlowerDetails(record, where = 'entry') {
+  const details = {};
+  const errors = [];
+  const name = record.scientific;
+  const present = value => value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+
+  if (present(record.family)) {
+    const family = String(record.family).trim();
+    if (/^[A-Z][a-z]+aceae$/.test(family)) {
+      details.family = family;
+    } else {
+      errors.push(`${where}: "${family}" is not a plant family name (e.g. Proteaceae) for "${name}"`);
+    }
+  }
+
+  [['colours', FLOWER_COLOURS], ['seasons', SEASONS]].forEach(([field, allowed]) => {
+    if (!present(record[field])) return;
+    const values = [...new Set(splitDetailList(record[field]))];
+    const unknown = values.filter(value => !allowed.includes(value));
+    if (unknown.length > 0) {
+      errors.push(`${where}: unknown ${field} "${unknown.join('", "')}" for "${name}" (use ${allowed.join(', ')})`);
+    }
+    const valid = values.filter(value => allowed.includes(value));
+    if (valid.length > 0) details[field] = valid;
+  });
+
+  if (present(record.vaseLife)) {
+    const vaseLife = parseVaseLife(record.vaseLife);
+    if (vaseLife) {
+      details.vaseLife = vaseLife;
+    } else {
+      errors.push(`${where}: invalid vase life "${record.vaseLife}" for "${name}" (use days, e.g. 7-10)`);
+    }
+  }
+
+  if (present(record.care)) {
+    details.care = String(record.care).trim();
+  }
+
+  return { details, errors };
+}
+
+/**
+ * Validate raw records: drop entries without names or with a duplicate
+ * scientific name or id, and default a missing/invalid listPriority to 1.
+ * Records without an explicit id get one derived from the scientific name.
+ * Invalid botanical details are reported and left out.
+ * @param {Array} records - Raw flower records
+ * @returns {Object} { flowers, errors } where errors are human readable strings
+ */
+export function validateCatalog(records) {
+  const flowers = [];
+  const errors = [];
+  const seen = new Map();
+  const seenIds = new Map();
+
+  records.forEach(record => {
+    const where = record.line ? `line ${record.line}` : 'entry';
+
+    if (!record.scientific) {
+      errors.push(`${where}: missing scientific name`);
+      return;
+    }
+    if (!record.common || record.common.length === 0) {
+      errors.push(`${where}: "${record.scientific}" has no common names`);
+      return;
+    }
+
+    const key = record.scientific.toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`${where}: duplicate scientific name "${record.scientific}" (first seen at ${seen.get(key)})`);
+      return;
+    }
+
+    const id = record.id || toFlowerId(record.scientific);
+    if (seenIds.has(id)) {
+      errors.push(`${where}: duplicate id "${id}" (first seen at ${seenIds.get(id)})`);
+      return;
+    }
+    seen.set(key, where);
+    seenIds.set(id, where);
+
+    let listPriority = Number(record.listPriority);
+    if (!Number.isInteger(listPriority) || listPriority < 1) {
+      if (record.listPriority !== undefined && record.listPriority !== '') {
+        errors.push(`${where}: invalid listPriority "${record.listPriority}" for "${record.scientific}", using 1`);
+      }
+      listPriority = 1;
+    }
+
+    const { details, errors: detailErrors } = validateFlowerDetails(record, where);
+    errors.push(...detailErrors);
+
+    flowers.push({
+      id,
+      scientific: record.scientific,
+      common: [...new Set(record.common)],
+      listPriority,
+      ...details
+    });
+  });
+
+  return { flowers, errors };
+}
+
+/**
+ * Guess a catalog format from a file name
+ * @param {string} fileName - e.g. "flowerlist.md"
+ * @returns {string} 'markdown', 'json' or 'csv'
+ */
+export function detectCatalogFormat(fileName) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.json')) return 'json';
+  if (name.endsWith('.csv')) return 'csv';
+  return 'markdown';
+}
+
+/**
+ * Parse and validate a catalog
+ * @param {string} text - Catalog file contents
+ * @param {string} format - 'markdown', 'json' or 'csv'
+ * @returns {Object} { flowers, errors }
+ */
+export function parseCatalog(text, format = 'markdown') {
+  let records;
+  if (format === 'json') {
+    records = parseFlowerJson(text);
+  } else if (format === 'csv') {
+    records = parseFlowerCsv(text);
+  } else {
+    records = parseFlowerListMarkdown(text);
+  }
+  return validateCatalog(records);
+}
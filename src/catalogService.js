@@ -0,0 +1,250 @@
+// User edits to the flower catalog, merged over the built-in list from flowerlist.md
+import { flowers as builtInFlowers } from './flowersData';
+import { validateCatalog, validateFlowerDetails, FLOWER_COLOURS, SEASONS } from './catalogLoader';
+import { toFlowerId } from './flowerIds';
+import { invalidateFlowerImages } from './imageCache';
+
+export const CATALOG_EDITS_KEY = 'floral_quiz_catalog_edits';
+
+/**
+ * Get the stored catalog edits
+ * @returns {Object} { added: [flower], edited: { [flowerId]: flower }, removed: [flowerId] }
+ */
+function getEdits() {
+  const data = localStorage.getItem(CATALOG_EDITS_KEY);
+  const edits = data ? JSON.parse(data) : {};
+  return {
+    added: edits.added || [],
+    edited: edits.edited || {},
+    removed: edits.removed || []
+  };
+}
+
+/**
+ * Save catalog edits
+ * @param {Object} edits - Catalog edits
+ */
+function saveEdits(edits) {
+  localStorage.setItem(CATALOG_EDITS_KEY, JSON.stringify(edits));
+}
+
+/**
+ * Clean up a flower from the editor form
+ * @param {Object} flower - { scientific, common, listPriority, notes, imageUrls } and
+ *   optional details { family, colours, seasons, vaseLife, care }
+ * @returns {Object} Normalized flower
+ * @throws {Error} If a botanical detail is invalid
+ */
+function normalizeFlower(flower) {
+  const normalized = {
+    scientific: (flower.scientific || '').trim(),
+    common: (flower.common || []).map(name => name.trim()).filter(Boolean),
+    listPriority: Number(flower.listPriority) || 1
+  };
+
+  const notes = (flower.notes || '').trim();
+  if (notes) normalized.notes = notes;
+
+  const imageUrls = (flower.imageUrls || []).map(url => url.trim()).filter(Boolean);
+  if (imageUrls.length > 0) normalized.imageUrls = imageUrls;
+
+  const { details, errors } = validateFlowerDetails(flower);
+  if (errors.length > 0) {
+    throw new Error(errors[0].replace(/^entry: /, ''));
+  }
+
+  return { ...normalized, ...details };
+}
+
+/**
+ * Check a flower before saving
+ * @param {Object} flower - Normalized flower
+ * @param {string|null} ignoreId - Flower that may keep its name (when editing)
+ */
+function assertValidFlower(flower, ignoreId = null) {
+  const { errors } = validateCatalog([flower]);
+  if (errors.length > 0) {
+    throw new Error(errors[0].replace(/^entry: /, ''));
+  }
+
+  const invalidUrl = (flower.imageUrls || []).find(url => !/^(https?:\/\/|\/)/.test(url));
+  if (invalidUrl) {
+    throw new Error(`"${invalidUrl}" is not an image URL`);
+  }
+
+  const key = flower.scientific.toLowerCase();
+  const taken = getCatalog().some(existing =>
+    existing.scientific.toLowerCase() === key && existing.id !== ignoreId
+  );
+  if (taken) {
+    throw new Error(`"${flower.scientific}" is already in the catalog`);
+  }
+}
+
+/**
+ * Create an id for a user-added flower. The "custom-" prefix keeps it clear
+ * of ids derived for flowers added to flowerlist.md later.
+ * @param {string} scientificName - Scientific name
+ * @param {Object} edits - Current catalog edits
+ * @returns {string} Unused flower id
+ */
+function createCustomId(scientificName, edits) {
+  const base = `custom-${toFlowerId(scientificName)}`;
+  const used = new Set(edits.added.map(flower => flower.id));
+  let id = base;
+  for (let n = 2; used.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Get the merged catalog: built-in flowers (with edits, minus removed ones)
+ * followed by user-added flowers. Flowers keep their id through edits.
+ * @returns {Array} Flower objects; user-added ones have custom: true
+ */
+export function getCatalog() {
+  const { added, edited, removed } = getEdits();
+
+  const builtIn = builtInFlowers
+    .filter(flower => !removed.includes(flower.id))
+    .map(flower => (edited[flower.id] ? { ...edited[flower.id], id: flower.id, edited: true } : flower));
+
+  return [...builtIn, ...added.map(flower => ({ ...flower, custom: true }))];
+}
+
+/**
+ * Get built-in flowers that were removed from the catalog
+ * @returns {Array} Removed flower objects
+ */
+export function getRemovedFlowers() {
+  const { removed } = getEdits();
+  return builtInFlowers.filter(flower => removed.includes(flower.id));
+}
+
+/**
+ * Drop cached images of a flower whose image URLs changed, so the new URLs
+ * are used right away instead of after the cached images expire
+ * @param {Object|undefined} before - Flower before the edit (undefined if new)
+ * @param {Object|undefined} after - Flower after the edit
+ */
+function invalidateChangedImages(before, after) {
+  const urlsBefore = before?.imageUrls || [];
+  const urlsAfter = after?.imageUrls || [];
+  const changed = urlsBefore.length !== urlsAfter.length || urlsBefore.some((url, i) => url !== urlsAfter[i]);
+  if (!changed) return;
+
+  new Set([before?.scientific, after?.scientific].filter(Boolean)).forEach(name => {
+    invalidateFlowerImages(name);
+  });
+}
+
+/**
+ * Add a new flower
+ * @param {Object} flower - { scientific, common, listPriority, notes, imageUrls, ...details }
+ * @returns {Object} The saved flower, with its new id
+ */
+export function addFlower(flower) {
+  const normalized = normalizeFlower(flower);
+  assertValidFlower(normalized);
+
+  const edits = getEdits();
+  const saved = { id: createCustomId(normalized.scientific, edits), ...normalized };
+  edits.added.push(saved);
+  saveEdits(edits);
+  invalidateChangedImages(undefined, saved);
+  return saved;
+}
+
+/**
+ * Edit a flower. Its id does not change, so progress, history and deck
+ * membership stay attached when the scientific name is edited.
+ * @param {string} flowerId - Flower id
+ * @param {Object} flower - Updated { scientific, common, listPriority, notes, imageUrls, ...details }
+ * @returns {Object} The saved flower
+ */
+export function updateFlower(flowerId, flower) {
+  const normalized = normalizeFlower(flower);
+  assertValidFlower(normalized, flowerId);
+
+  const edits = getEdits();
+  const addedIndex = edits.added.findIndex(f => f.id === flowerId);
+  const saved = { id: flowerId, ...normalized };
+  const before = getCatalog().find(f => f.id === flowerId);
+
+  if (addedIndex !== -1) {
+    edits.added[addedIndex] = saved;
+  } else {
+    if (!builtInFlowers.some(f => f.id === flowerId)) {
+      throw new Error(`"${normalized.scientific}" is not in the catalog`);
+    }
+    edits.edited[flowerId] = normalized;
+  }
+
+  saveEdits(edits);
+  invalidateChangedImages(before, saved);
+  return saved;
+}
+
+/**
+ * Remove a flower from the catalog. Its progress is kept, so restoring
+ * a built-in flower brings its history back.
+ * @param {string} flowerId - Flower id
+ */
+export function removeFlower(flowerId) {
+  const edits = getEdits();
+  const addedIndex = edits.added.findIndex(f => f.id === flowerId);
+
+  if (addedIndex !== -1) {
+    edits.added.splice(addedIndex, 1);
+  } else if (!edits.removed.includes(flowerId)) {
+    edits.removed.push(flowerId);
+  }
+
+  saveEdits(edits);
+}
+
+/**
+ * Undo edits to a built-in flower, or bring back a removed one
+ * @param {string} flowerId - Built-in flower id
+ */
+export function restoreFlower(flowerId) {
+  const edits = getEdits();
+  const before = edits.edited[flowerId];
+  delete edits.edited[flowerId];
+  edits.removed = edits.removed.filter(id => id !== flowerId);
+  saveEdits(edits);
+  if (before) invalidateChangedImages(before, builtInFlowers.find(f => f.id === flowerId));
+}
+
+/**
+ * Families, colours and seasons present in a list of flowers, for filter menus
+ * @param {Array} flowers - Flowers
+ * @returns {Object} { families, colours, seasons } sorted value lists
+ */
+export function getDetailOptions(flowers) {
+  const present = field => new Set(flowers.flatMap(flower => flower[field] || []));
+  const colours = present('colours');
+  const seasons = present('seasons');
+
+  return {
+    families: [...new Set(flowers.map(flower => flower.family).filter(Boolean))].sort(),
+    colours: FLOWER_COLOURS.filter(colour => colours.has(colour)),
+    seasons: SEASONS.filter(season => seasons.has(season))
+  };
+}
+
+/**
+ * Keep the flowers matching every given detail filter. Year-round flowers
+ * are in season all year, so they match every season.
+ * @param {Array} flowers - Flowers
+ * @param {Object} filters - { family, colour, season } (empty values match everything)
+ * @returns {Array} Matching flowers
+ */
+export function filterFlowersByDetails(flowers, { family, colour, season } = {}) {
+  return flowers.filter(flower =>
+    (!family || flower.family === family) &&
+    (!colour || (flower.colours || []).includes(colour)) &&
+    (!season || (flower.seasons || []).some(s => s === season || s === 'year-round'))
+  );
+}
@@ -0,0 +1,257 @@
+// Class mode: join a class on the self-hosted server as an instructor or a
+// student, publish and hand in assignments, and build the class roster from
+// everyone's submissions. Each student has their own token, which tells the
+// server who they are.
+import { serverRequest, isServerUrl } from './serverApi';
+import { profileKey } from './profileService';
+import { ExamFormat } from './examService';
+
+const CLASS_SETTINGS_KEY = 'floral_quiz_class'; // { serverUrl, token, role, studentName } (name from the server)
+
+// Flowers the class gets right less often than this (percent) are flagged on the roster
+export const STRUGGLING_SUCCESS_RATE = 50;
+
+/**
+ * @typedef {Object} Assignment
+ * @property {string} id - Server-assigned id
+ * @property {string} title - Shown to students
+ * @property {Array<string>} flowerIds - Flowers asked about, each once
+ * @property {string} format - ExamFormat value
+ * @property {string|null} dueDate - YYYY-MM-DD, or null for no due date
+ * @property {number} requiredPercent - Score needed to pass
+ * @property {string} createdAt - ISO time it was published
+ */
+
+/**
+ * @typedef {Object} Submission
+ * @property {string} id - Server-assigned id
+ * @property {string} assignmentId - Assignment answered
+ * @property {string} student - Student's name
+ * @property {string} submittedAt - ISO time
+ * @property {number} score - Points (half points for half-right scientific names)
+ * @property {number} total - Number of flowers in the assignment (unanswered ones count as wrong)
+ * @property {number} percent - Score as a whole percent
+ * @property {boolean} passed - True if percent reached the required score
+ * @property {boolean} late - True if handed in after the due date
+ * @property {Array<Object>} answers - [{ flower: flowerId, result }]
+ */
+
+/**
+ * Get the active profile's class connection
+ * @returns {Object|null} { serverUrl, token, role, studentName }, or null if not in a class
+ */
+export function getClassConnection() {
+  const data = localStorage.getItem(profileKey(CLASS_SETTINGS_KEY));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Join a class. The server tells from the token whether this is an instructor
+ * or a student, and which student.
+ * @param {string} serverUrl - Server address
+ * @param {string} token - Instructor token, or the student's own token
+ * @returns {Promise<Object>} The saved connection
+ */
+export async function joinClass(serverUrl, token) {
+  const connection = { serverUrl: serverUrl.trim(), token: token.trim() };
+  if (!isServerUrl(connection.serverUrl)) {
+    throw new Error('Server address must start with http:// or https://');
+  }
+  if (!connection.token) {
+    throw new Error('Class token is required');
+  }
+
+  const { role, student } = await serverRequest(connection, 'GET', '/api/class/assignments');
+  const saved = { ...connection, role, studentName: student };
+  localStorage.setItem(profileKey(CLASS_SETTINGS_KEY), JSON.stringify(saved));
+  return saved;
+}
+
+/**
+ * Leave the class on this profile (nothing is deleted on the server)
+ */
+export function leaveClass() {
+  localStorage.removeItem(profileKey(CLASS_SETTINGS_KEY));
+}
+
+/**
+ * Get the class's assignments, and the student's own submissions
+ * @param {Object} connection - Class connection
+ * @returns {Promise<Object>} { assignments, submissions }
+ */
+export async function fetchAssignments(connection) {
+  const { assignments, submissions } = await serverRequest(connection, 'GET', '/api/class/assignments');
+  return { assignments, submissions };
+}
+
+/**
+ * Check an assignment before publishing it
+ * @param {Object} assignment - { title, flowerIds, format, dueDate, requiredPercent }
+ * @returns {Array<string>} Problems (empty if it can be published)
+ */
+export function validateAssignment({ title, flowerIds, format, dueDate, requiredPercent }) {
+  const errors = [];
+  if (!title.trim()) errors.push('Give the assignment a title');
+  if (flowerIds.length === 0) errors.push('No flowers match the selected decks and filters');
+  if (!Object.values(ExamFormat).includes(format)) errors.push('Choose a question format');
+  if (dueDate !== null && Number.isNaN(Date.parse(dueDate))) errors.push('Due date is not a valid date');
+  if (!Number.isInteger(requiredPercent) || requiredPercent < 1 || requiredPercent > 100) {
+    errors.push('Required score must be a whole number from 1 to 100');
+  }
+  return errors;
+}
+
+/**
+ * Publish an assignment to the class (instructors only)
+ * @param {Object} connection - Class connection
+ * @param {Object} assignment - Valid assignment fields
+ * @returns {Promise<Assignment>} The published assignment
+ */
+export async function publishAssignment(connection, assignment) {
+  const { assignment: published } = await serverRequest(connection, 'POST', '/api/class/assignments', assignment);
+  return published;
+}
+
+/**
+ * Withdraw an assignment and its submissions (instructors only)
+ * @param {Object} connection - Class connection
+ * @param {string} assignmentId - Assignment id
+ * @returns {Promise<void>}
+ */
+export async function deleteAssignment(connection, assignmentId) {
+  await serverRequest(connection, 'DELETE', `/api/class/assignments/${encodeURIComponent(assignmentId)}`);
+}
+
+/**
+ * Hand in a finished assignment (students only)
+ * @param {Object} connection - Class connection
+ * @param {Assignment} assignment - The assignment taken
+ * @param {ExamRecord} record - Graded answers, from scoreExam (the server scores them itself)
+ * @returns {Promise<Submission>} The stored submission
+ */
+export async function submitAssignment(connection, assignment, record) {
+  const { submission } = await serverRequest(connection, 'POST', '/api/class/submissions', {
+    assignmentId: assignment.id,
+    answers: record.questions.map(({ flower, result }) => ({ flower, result }))
+  });
+  return submission;
+}
+
+/**
+ * Get every assignment and submission in the class (instructors only)
+ * @param {Object} connection - Class connection
+ * @returns {Promise<Object>} { assignments, submissions }
+ */
+export async function fetchRoster(connection) {
+  const { assignments, submissions } = await serverRequest(connection, 'GET', '/api/class/roster');
+  return { assignments, submissions };
+}
+
+/**
+ * Keep each student's best submission per assignment (students may try again)
+ * @param {Array<Submission>} submissions - Submissions
+ * @returns {Array<Submission>} Best submissions
+ */
+export function getBestSubmissions(submissions) {
+  const best = new Map();
+  submissions.forEach(submission => {
+    const key = `${submission.assignmentId}|${submission.student.toLowerCase()}`;
+    const current = best.get(key);
+    if (!current || submission.percent > current.percent) best.set(key, submission);
+  });
+  return [...best.values()];
+}
+
+/**
+ * Average of some percents
+ * @param {Array<number>} percents - Percents
+ * @returns {number|null} Rounded average, or null if there are none
+ */
+function averagePercent(percents) {
+  if (percents.length === 0) return null;
+  return Math.round(percents.reduce((sum, p) => sum + p, 0) / percents.length);
+}
+
+/**
+ * Build the class roster: per student, per assignment and per flower results,
+ * from each student's best submission to each assignment
+ * @param {Array<Assignment>} assignments - Assignments to include
+ * @param {Array<Submission>} submissions - Submissions to those assignments
+ * @param {Array} flowers - Whole catalog, to name the flowers
+ * @returns {Object} { students, assignments, flowers } - flowers are shaped like
+ *   getAllFlowerStats entries ({ flower, correctCount, incorrectCount, successRate })
+ *   plus { flowerId, attempts, studentsMissed, struggling }, hardest first
+ */
+export function buildClassRoster(assignments, submissions, flowers) {
+  const assignmentIds = new Set(assignments.map(a => a.id));
+  const best = getBestSubmissions(submissions.filter(s => assignmentIds.has(s.assignmentId)));
+  const flowerById = new Map(flowers.map(flower => [flower.id, flower]));
+
+  const byStudent = new Map();
+  best.forEach(submission => {
+    const key = submission.student.toLowerCase();
+    if (!byStudent.has(key)) byStudent.set(key, { student: submission.student, submissions: [] });
+    byStudent.get(key).submissions.push(submission);
+  });
+  const students = [...byStudent.values()]
+    .map(({ student, submissions: own }) => ({
+      student,
+      submitted: own.length,
+      passed: own.filter(s => s.passed).length,
+      late: own.filter(s => s.late).length,
+      averagePercent: averagePercent(own.map(s => s.percent))
+    }))
+    .sort((a, b) => a.student.localeCompare(b.student));
+
+  const assignmentSummaries = assignments.map(assignment => {
+    const own = best.filter(s => s.assignmentId === assignment.id);
+    return {
+      assignment,
+      submitted: own.length,
+      passed: own.filter(s => s.passed).length,
+      averagePercent: averagePercent(own.map(s => s.percent))
+    };
+  });
+
+  const flowerStats = new Map();
+  best.forEach(submission => {
+    submission.answers.forEach(({ flower: flowerId, result }) => {
+      if (!flowerStats.has(flowerId)) {
+        flowerStats.set(flowerId, {
+          flowerId,
+          flower: flowerById.get(flowerId) || null,
+          correctCount: 0,
+          incorrectCount: 0,
+          studentsMissed: []
+        });
+      }
+      const stats = flowerStats.get(flowerId);
+      // Half-right scientific names count as misses: the student still has work to do
+      if (result === 'correct' || result === 'close') {
+        stats.correctCount++;
+      } else {
+        stats.incorrectCount++;
+        if (!stats.studentsMissed.includes(submission.student)) stats.studentsMissed.push(submission.student);
+      }
+    });
+  });
+
+  const flowerRows = [...flowerStats.values()]
+    .map(stats => {
+      const attempts = stats.correctCount + stats.incorrectCount;
+      const successRate = Math.round((stats.correctCount / attempts) * 100);
+      return { ...stats, attempts, successRate, struggling: successRate < STRUGGLING_SUCCESS_RATE };
+    })
+    .sort((a, b) => a.successRate - b.successRate || b.attempts - a.attempts);
+
+  return { students, assignments: assignmentSummaries, flowers: flowerRows };
+}
+
+/**
+ * Check whether an assignment's due date has passed
+ * @param {Assignment} assignment - Assignment
+ * @returns {boolean} True if overdue
+ */
+export function isPastDue(assignment) {
+  return assignment.dueDate !== null && new Date().toLocaleDateString('en-CA') > assignment.dueDate;
+}
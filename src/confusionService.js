@@ -0,0 +1,37 @@
+// Flowers that get mistaken for each other, from the answer history
+import { getConfusions } from './attemptLog';
+
+// Mix-ups a pair needs before it is drilled
+export const MIN_CONFUSIONS = 2;
+
+/**
+ * Confused pairs among the given flowers
+ * @param {Array} allFlowers - Flowers in scope
+ * @param {Object} options - { minCount: mix-ups needed to include a pair }
+ * @returns {Array<Object>} [{ flower, confusedWith, count, attempts, rate }] with flower objects,
+ *   most frequent first
+ */
+export function getConfusedPairs(allFlowers, { minCount = MIN_CONFUSIONS } = {}) {
+  const byId = new Map(allFlowers.map(flower => [flower.id, flower]));
+
+  return getConfusions({ flowers: allFlowers.map(flower => flower.id) })
+    .filter(pair => pair.count >= minCount && byId.has(pair.confusedWith))
+    .map(pair => ({ ...pair, flower: byId.get(pair.flower), confusedWith: byId.get(pair.confusedWith) }));
+}
+
+/**
+ * Flowers for a drill on the most confused pairs, each flower followed by
+ * the one it is mistaken for so the two are seen side by side
+ * @param {Array} allFlowers - Flowers in scope
+ * @param {number} count - Number of flowers to return
+ * @returns {Array} Flowers to quiz (empty if nothing is confused yet)
+ */
+export function getConfusionDrillFlowers(allFlowers, count) {
+  const selected = [];
+  getConfusedPairs(allFlowers).forEach(pair => {
+    [pair.flower, pair.confusedWith].forEach(flower => {
+      if (selected.length < count && !selected.includes(flower)) selected.push(flower);
+    });
+  });
+  return selected;
+}
@@ -0,0 +1,227 @@
+// Study decks: the built-in ID lists plus user-created custom decks
+import { profileKey } from './profileService';
+
+const DECKS_KEY = 'floral_quiz_decks';
+const SELECTED_DECKS_KEY = 'floral_quiz_selected_decks';
+
+// Built-in decks follow the catalog's listPriority
+export const BUILT_IN_DECKS = [
+  { id: 'list-2', name: 'ID List #2', listPriority: 1, builtIn: true },
+  { id: 'list-1', name: 'ID List #1', listPriority: 2, builtIn: true },
+  { id: 'foliage', name: 'Foliage & Ornamentals', listPriority: 3, builtIn: true }
+];
+
+/**
+ * Get the user's custom decks
+ * @returns {Array} Custom decks { id, name, flowers: [flowerId] }
+ */
+function getCustomDecks() {
+  const data = localStorage.getItem(DECKS_KEY);
+  return data ? JSON.parse(data) : [];
+}
+
+/**
+ * Save the user's custom decks
+ * @param {Array} decks - Custom decks
+ */
+function saveCustomDecks(decks) {
+  localStorage.setItem(DECKS_KEY, JSON.stringify(decks));
+}
+
+/**
+ * Get all decks, built-in first
+ * @returns {Array} Decks
+ */
+export function getDecks() {
+  return [...BUILT_IN_DECKS, ...getCustomDecks()];
+}
+
+/**
+ * Get a deck by id
+ * @param {string} deckId - Deck id
+ * @returns {Object|null} Deck
+ */
+export function getDeck(deckId) {
+  return getDecks().find(deck => deck.id === deckId) || null;
+}
+
+/**
+ * Get the flowers belonging to a deck
+ * @param {Object} deck - Deck object
+ * @param {Array} allFlowers - Array of all flower objects
+ * @returns {Array} Flowers in the deck
+ */
+export function getDeckFlowers(deck, allFlowers) {
+  if (deck.builtIn) {
+    return allFlowers.filter(flower => flower.listPriority === deck.listPriority);
+  }
+  const members = new Set(deck.flowers);
+  return allFlowers.filter(flower => members.has(flower.id));
+}
+
+/**
+ * Get the flowers in any of the given decks (all flowers if none are given)
+ * @param {Array<string>} deckIds - Deck ids
+ * @param {Array} allFlowers - Array of all flower objects
+ * @returns {Array} Flowers in catalog order
+ */
+export function getFlowersForDecks(deckIds, allFlowers) {
+  const decks = deckIds.map(getDeck).filter(Boolean);
+  if (decks.length === 0) return allFlowers;
+
+  const members = new Set();
+  decks.forEach(deck => {
+    getDeckFlowers(deck, allFlowers).forEach(flower => members.add(flower));
+  });
+  return allFlowers.filter(flower => members.has(flower));
+}
+
+/**
+ * Check that no other deck already has a name (names are compared ignoring case)
+ * @param {string} name - Trimmed deck name
+ * @param {string|null} deckId - Deck being renamed, or null for a new deck
+ */
+function assertUniqueDeckName(name, deckId = null) {
+  if (getDecks().some(deck => deck.id !== deckId && deck.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`A deck named "${name}" already exists`);
+  }
+}
+
+/**
+ * Create a custom deck
+ * @param {string} name - Deck name
+ * @param {Array<string>} flowerIds - Flowers in the deck
+ * @returns {Object} The new deck
+ */
+export function createDeck(name, flowerIds) {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Deck name is required');
+  }
+  assertUniqueDeckName(trimmed);
+
+  const deck = {
+    id: `custom-${Date.now().toString(36)}`,
+    name: trimmed,
+    flowers: [...new Set(flowerIds)]
+  };
+  saveCustomDecks([...getCustomDecks(), deck]);
+  return deck;
+}
+
+/**
+ * Update a custom deck's name or flowers
+ * @param {string} deckId - Deck id
+ * @param {Object} changes - { name, flowers }
+ * @returns {Object} The updated deck
+ */
+export function updateDeck(deckId, changes) {
+  const decks = getCustomDecks();
+  const deck = decks.find(d => d.id === deckId);
+  if (!deck) {
+    throw new Error('Only custom decks can be edited');
+  }
+
+  if (changes.name !== undefined) {
+    const trimmed = changes.name.trim();
+    if (!trimmed) throw new Error('Deck name is required');
+    assertUniqueDeckName(trimmed, deckId);
+    deck.name = trimmed;
+  }
+  if (changes.flowers !== undefined) {
+    deck.flowers = [...new Set(changes.flowers)];
+  }
+
+  saveCustomDecks(decks);
+  return deck;
+}
+
+/**
+ * Delete a custom deck
+ * @param {string} deckId - Deck id
+ */
+export function deleteDeck(deckId) {
+  saveCustomDecks(getCustomDecks().filter(deck => deck.id !== deckId));
+  setSelectedDeckIds(getSelectedDeckIds().filter(id => id !== deckId));
+}
+
+/**
+ * Add or remove a flower from a custom deck
+ * @param {string} deckId - Custom deck id
+ * @param {string} flowerId - The flower's id
+ * @param {boolean} member - True to add, false to remove
+ */
+export function setDeckMembership(deckId, flowerId, member) {
+  const decks = getCustomDecks();
+  const deck = decks.find(d => d.id === deckId);
+  if (!deck) return;
+
+  const others = deck.flowers.filter(id => id !== flowerId);
+  deck.flowers = member ? [...others, flowerId] : others;
+  saveCustomDecks(decks);
+}
+
+/**
+ * Custom decks for backups
+ * @returns {Array} Custom decks
+ */
+export function getCustomDeckData() {
+  return getCustomDecks();
+}
+
+/**
+ * Check custom decks from a backup
+ * @param {Array} decks - Custom decks
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateCustomDecks(decks) {
+  if (!Array.isArray(decks)) return ['Decks must be a list'];
+  const bad = decks.findIndex(deck =>
+    !deck || typeof deck.id !== 'string' || typeof deck.name !== 'string' || !Array.isArray(deck.flowers)
+  );
+  return bad === -1 ? [] : [`Deck ${bad + 1} is malformed`];
+}
+
+/**
+ * Restore custom decks from a backup
+ * @param {Array} decks - Custom decks (validated)
+ * @param {string} mode - 'replace' or 'merge' (decks with the same id or name are combined)
+ */
+export function restoreCustomDecks(decks, mode) {
+  if (mode === 'replace') {
+    saveCustomDecks(decks);
+    return;
+  }
+
+  const merged = getCustomDecks();
+  decks.forEach(incoming => {
+    const existing = merged.find(deck =>
+      deck.id === incoming.id || deck.name.toLowerCase() === incoming.name.toLowerCase()
+    );
+    if (existing) {
+      existing.flowers = [...new Set([...existing.flowers, ...incoming.flowers])];
+    } else {
+      merged.push(incoming);
+    }
+  });
+  saveCustomDecks(merged);
+}
+
+/**
+ * Get the decks selected for study (empty = all flowers)
+ * @returns {Array<string>} Deck ids
+ */
+export function getSelectedDeckIds() {
+  const data = localStorage.getItem(profileKey(SELECTED_DECKS_KEY));
+  const ids = data ? JSON.parse(data) : [];
+  // Ignore decks that were deleted
+  return ids.filter(id => getDeck(id));
+}
+
+/**
+ * Save the decks selected for study
+ * @param {Array<string>} deckIds - Deck ids (empty = all flowers)
+ */
+export function setSelectedDeckIds(deckIds) {
+  localStorage.setItem(profileKey(SELECTED_DECKS_KEY), JSON.stringify(deckIds));
+}
@@ -0,0 +1,164 @@
+// Wrong options for multiple-choice questions, chosen to be plausible
+import { normalizeAnswer, splitBinomial } from './answerGrading';
+import { profileKey } from './profileService';
+
+const DIFFICULTY_KEY = 'floral_quiz_distractor_difficulty';
+
+export const DistractorDifficulty = {
+  EASY: 'easy', // Random flowers from the studied decks
+  MEDIUM: 'medium', // Similar flowers more likely, with some variety
+  HARD: 'hard' // The most similar flowers
+};
+
+// How much each kind of similarity makes a distractor plausible
+const SIMILARITY_WEIGHTS = {
+  confused: 5, // The learner has mixed the two up before
+  genus: 4,
+  family: 3,
+  sharedWord: 2, // Per shared common-name word, e.g. "daisy"
+  sameDeck: 1
+};
+
+// Words too generic to make two names look alike
+const GENERIC_WORDS = new Set(['flower', 'flowers', 'plant', 'grass', 'the', 'and', 'of']);
+
+/**
+ * Get the saved multiple-choice difficulty
+ * @returns {string} DistractorDifficulty value
+ */
+export function getDistractorDifficulty() {
+  const saved = localStorage.getItem(profileKey(DIFFICULTY_KEY));
+  return Object.values(DistractorDifficulty).includes(saved) ? saved : DistractorDifficulty.MEDIUM;
+}
+
+/**
+ * Save the multiple-choice difficulty
+ * @param {string} difficulty - DistractorDifficulty value
+ */
+export function setDistractorDifficulty(difficulty) {
+  localStorage.setItem(profileKey(DIFFICULTY_KEY), difficulty);
+}
+
+/**
+ * Distinctive words of a flower's common names
+ * @param {Object} flower - Flower
+ * @returns {Set<string>} Normalized words
+ */
+function getNameWords(flower) {
+  return new Set(
+    flower.common
+      .flatMap(name => normalizeAnswer(name).split(' '))
+      .filter(word => word.length >= 3 && !GENERIC_WORDS.has(word))
+  );
+}
+
+/**
+ * Genus of a flower, normalized for comparison
+ * @param {Object} flower - Flower
+ * @returns {string} Genus
+ */
+function getGenus(flower) {
+  return normalizeAnswer(splitBinomial(flower.scientific).genus);
+}
+
+/**
+ * How plausible a candidate is as a wrong answer for a flower
+ * @param {Object} flower - Flower being asked about
+ * @param {Object} candidate - Possible distractor
+ * @param {Object} context - { deckIds, confusedIds } Sets of flower ids
+ * @returns {number} Similarity score (0 = nothing in common)
+ */
+export function scoreDistractor(flower, candidate, { deckIds, confusedIds }) {
+  let score = 0;
+
+  if (confusedIds.has(candidate.id)) score += SIMILARITY_WEIGHTS.confused;
+  if (getGenus(candidate) === getGenus(flower)) score += SIMILARITY_WEIGHTS.genus;
+  if (flower.family && candidate.family === flower.family) score += SIMILARITY_WEIGHTS.family;
+  if (deckIds.has(candidate.id)) score += SIMILARITY_WEIGHTS.sameDeck;
+
+  const words = getNameWords(flower);
+  getNameWords(candidate).forEach(word => {
+    if (words.has(word)) score += SIMILARITY_WEIGHTS.sharedWord;
+  });
+
+  return score;
+}
+
+/**
+ * Pick one item at random, weighted
+ * @param {Array<Object>} items - [{ weight }]
+ * @returns {number} Index of the chosen item
+ */
+function pickWeighted(items) {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let roll = Math.random() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= items[i].weight;
+    if (roll < 0) return i;
+  }
+  return items.length - 1;
+}
+
+/**
+ * Choose wrong options for a multiple-choice question. A distractor never
+ * shows a common name the correct flower also has (e.g. two roses both
+ * called "rose"), and no two options show the same name.
+ * @param {Object} flower - Flower being asked about
+ * @param {Array} allFlowers - Whole catalog
+ * @param {Object} options - { count, difficulty, activeFlowers: flowers in the studied decks,
+ *   confusedPairs: result of getConfusedPairs }
+ * @returns {Array<Object>} [{ flower, name }] distractors with the name to show
+ */
+export function pickDistractors(flower, allFlowers, {
+  count = 3,
+  difficulty = DistractorDifficulty.MEDIUM,
+  activeFlowers = allFlowers,
+  confusedPairs = []
+} = {}) {
+  const usedNames = new Set(flower.common.map(normalizeAnswer));
+  const deckIds = new Set(activeFlowers.map(f => f.id));
+
+  // Flowers mixed up with this one in either direction
+  const confusedIds = new Set();
+  confusedPairs.forEach(pair => {
+    if (pair.flower.id === flower.id) confusedIds.add(pair.confusedWith.id);
+    if (pair.confusedWith.id === flower.id) confusedIds.add(pair.flower.id);
+  });
+
+  // Easy questions stay within the studied decks when they have enough flowers
+  const pool = difficulty === DistractorDifficulty.EASY && activeFlowers.length >= count + 1
+    ? activeFlowers
+    : allFlowers;
+
+  const candidates = pool
+    .filter(candidate => candidate.id !== flower.id)
+    .map(candidate => ({
+      flower: candidate,
+      score: scoreDistractor(flower, candidate, { deckIds, confusedIds }),
+      tiebreak: Math.random()
+    }));
+
+  if (difficulty === DistractorDifficulty.HARD) {
+    candidates.sort((a, b) => b.score - a.score || a.tiebreak - b.tiebreak);
+  } else if (difficulty === DistractorDifficulty.EASY) {
+    candidates.sort((a, b) => a.tiebreak - b.tiebreak);
+  }
+
+  const distractors = [];
+  while (distractors.length < count && candidates.length > 0) {
+    // Medium: similar flowers are likelier, but anything can come up
+    const index = difficulty === DistractorDifficulty.MEDIUM
+      ? pickWeighted(candidates.map(c => ({ weight: 1 + c.score * c.score })))
+      : 0;
+    const [{ flower: candidate }] = candidates.splice(index, 1);
+
+    const names = candidate.common.filter(name => !usedNames.has(normalizeAnswer(name)));
+    if (names.length === 0) continue; // Every name is shared with an option already shown
+
+    const name = names[Math.floor(Math.random() * names.length)];
+    usedNames.add(normalizeAnswer(name));
+    distractors.push({ flower: candidate, name });
+  }
+
+  return distractors;
+}
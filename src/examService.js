@@ -0,0 +1,276 @@
+// Mock exams: timed tests in one fixed question format, graded against a
+// pass mark and stored as exam records. Exams never change learning progress.
+import { gradeCommonName, gradeScientificName, getGradesResult } from './answerGrading';
+import { pickDistractors } from './distractorService';
+import { profileKey } from './profileService';
+
+const EXAMS_KEY = 'floral_quiz_exams';
+const EXAM_SETTINGS_KEY = 'floral_quiz_exam_settings';
+
+// Oldest exam records are dropped beyond this
+const MAX_EXAM_RECORDS = 200;
+
+// Question formats, named after the quiz question types they match
+export const ExamFormat = {
+  MULTIPLE_CHOICE: 'mc',
+  COMMON_NAME: 'short',
+  SCIENTIFIC_NAME: 'scientific',
+  BOTH_NAMES: 'mastery'
+};
+
+export const EXAM_FORMAT_LABELS = {
+  [ExamFormat.MULTIPLE_CHOICE]: 'Multiple choice',
+  [ExamFormat.COMMON_NAME]: 'Common name',
+  [ExamFormat.SCIENTIFIC_NAME]: 'Scientific name',
+  [ExamFormat.BOTH_NAMES]: 'Common and scientific name'
+};
+
+export const DEFAULT_EXAM_SETTINGS = {
+  format: ExamFormat.COMMON_NAME,
+  questionCount: 20,
+  timeLimitMinutes: 15,
+  passMark: 70 // Percent
+};
+
+// Allowed ranges for the numeric settings
+const SETTING_LIMITS = {
+  questionCount: { min: 1, max: 100, label: 'Number of questions' },
+  timeLimitMinutes: { min: 1, max: 180, label: 'Time limit' },
+  passMark: { min: 1, max: 100, label: 'Pass mark' }
+};
+
+/**
+ * @typedef {Object} ExamRecord
+ * @property {string} id - Unique id
+ * @property {string} takenAt - ISO time the exam finished
+ * @property {string} format - ExamFormat value
+ * @property {number} passMark - Percent needed to pass
+ * @property {number} timeLimitMinutes - Time allowed
+ * @property {number} timeUsedSec - Time taken
+ * @property {boolean} timedOut - True if time ran out before the exam was handed in
+ * @property {number} score - Points (a half-right scientific name earns half a point)
+ * @property {number} total - Number of questions
+ * @property {number} percent - Score as a whole percent
+ * @property {boolean} passed - True if percent reached the pass mark
+ * @property {Array<Object>} questions - [{ flower: flowerId, answer, result }]
+ */
+
+/**
+ * Check exam settings
+ * @param {Object} settings - { format, questionCount, timeLimitMinutes, passMark }
+ * @returns {Array<string>} Problems (empty if the settings are usable)
+ */
+export function validateExamSettings(settings) {
+  const errors = [];
+  if (!Object.values(ExamFormat).includes(settings.format)) {
+    errors.push('Choose a question format');
+  }
+  Object.entries(SETTING_LIMITS).forEach(([field, { min, max, label }]) => {
+    const value = settings[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${label} must be a whole number from ${min} to ${max}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Get the saved exam settings
+ * @returns {Object} { format, questionCount, timeLimitMinutes, passMark }
+ */
+export function getExamSettings() {
+  const data = localStorage.getItem(profileKey(EXAM_SETTINGS_KEY));
+  const settings = { ...DEFAULT_EXAM_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+  return validateExamSettings(settings).length === 0 ? settings : { ...DEFAULT_EXAM_SETTINGS };
+}
+
+/**
+ * Save the exam settings
+ * @param {Object} settings - Valid settings
+ */
+export function saveExamSettings(settings) {
+  localStorage.setItem(profileKey(EXAM_SETTINGS_KEY), JSON.stringify(settings));
+}
+
+/**
+ * Get the stored exam records
+ * @returns {Array<ExamRecord>} Records, newest first
+ */
+export function getExamRecords() {
+  const data = localStorage.getItem(profileKey(EXAMS_KEY));
+  return data ? JSON.parse(data) : [];
+}
+
+/**
+ * Save exam records, newest first, dropping the oldest beyond the limit
+ * @param {Array<ExamRecord>} records - Records
+ */
+function saveExamRecords(records) {
+  const sorted = [...records].sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+  localStorage.setItem(profileKey(EXAMS_KEY), JSON.stringify(sorted.slice(0, MAX_EXAM_RECORDS)));
+}
+
+/**
+ * Pick the flowers for an exam at random
+ * @param {Array} examFlowers - Flowers the exam covers
+ * @param {number} count - Number of flowers
+ * @returns {Array} Flowers in random order
+ */
+export function pickExamFlowers(examFlowers, count) {
+  return [...examFlowers]
+    .map(flower => ({ flower, order: Math.random() }))
+    .sort((a, b) => a.order - b.order)
+    .slice(0, count)
+    .map(({ flower }) => flower);
+}
+
+/**
+ * Build exam questions. Every question has the same format, whatever stage
+ * the flower has reached in learning.
+ * @param {Array<Object>} picked - [{ flower, image }] flowers to ask about
+ * @param {Array} allFlowers - Whole catalog, for multiple-choice distractors
+ * @param {string} format - ExamFormat value
+ * @param {Object} distractorOptions - Options for pickDistractors
+ * @returns {Array<Object>} Questions { flower, image, format, options? }
+ */
+export function buildExamQuestions(picked, allFlowers, format, distractorOptions = {}) {
+  return picked.map(({ flower, image }) => {
+    const question = { flower, image, format };
+    if (format === ExamFormat.MULTIPLE_CHOICE) {
+      const name = flower.common[Math.floor(Math.random() * flower.common.length)];
+      question.options = [
+        { text: name, isCorrect: true, flowerId: flower.id },
+        ...pickDistractors(flower, allFlowers, distractorOptions)
+          .map(d => ({ text: d.name, isCorrect: false, flowerId: d.flower.id }))
+      ].sort(() => Math.random() - 0.5);
+    }
+    return question;
+  });
+}
+
+/**
+ * Grade one exam answer
+ * @param {Object} question - Exam question
+ * @param {*} answer - Chosen option, typed text, { common, scientific }, or null if unanswered
+ * @param {Array} allFlowers - Whole catalog, so ambiguous partial names are rejected
+ * @returns {string} 'correct', 'close', 'partial' or 'incorrect'
+ */
+export function gradeExamAnswer(question, answer, allFlowers) {
+  const { flower, format } = question;
+  if (answer === null || answer === undefined) return 'incorrect';
+
+  if (format === ExamFormat.MULTIPLE_CHOICE) {
+    return answer.isCorrect ? 'correct' : 'incorrect';
+  }
+
+  const otherNames = allFlowers.filter(f => f.id !== flower.id).flatMap(f => f.common);
+  const gradeCommon = (text) => gradeCommonName(text, flower.common, { otherNames });
+
+  if (format === ExamFormat.COMMON_NAME) {
+    return getGradesResult({ common: gradeCommon(answer) });
+  }
+  if (format === ExamFormat.SCIENTIFIC_NAME) {
+    return getGradesResult({ scientific: gradeScientificName(answer, flower.scientific) });
+  }
+  return getGradesResult({
+    common: gradeCommon(answer.common),
+    scientific: gradeScientificName(answer.scientific, flower.scientific)
+  });
+}
+
+/**
+ * Grade a finished exam without storing it
+ * @param {Array<Object>} questions - Exam questions
+ * @param {Array} answers - Answer per question (null if unanswered)
+ * @param {Array} allFlowers - Whole catalog
+ * @param {Object} settings - Exam settings (timeLimitMinutes is null for untimed tests)
+ * @param {Object} timing - { timeUsedSec, timedOut }
+ * @param {Object} options - { skippedFlowerIds }: flowers that could not be asked, graded
+ *   as unanswered after the questions
+ * @returns {ExamRecord} The exam record
+ */
+export function scoreExam(questions, answers, allFlowers, settings, { timeUsedSec, timedOut }, { skippedFlowerIds = [] } = {}) {
+  const graded = [
+    ...questions.map((question, i) => ({
+      flower: question.flower.id,
+      // Multiple-choice answers are stored as the name that was picked
+      answer: question.format === ExamFormat.MULTIPLE_CHOICE ? answers[i]?.text ?? null : answers[i] ?? null,
+      result: gradeExamAnswer(question, answers[i], allFlowers)
+    })),
+    ...skippedFlowerIds.map(flower => ({ flower, answer: null, result: 'incorrect' }))
+  ];
+
+  const score = graded.reduce((sum, { result }) => {
+    if (result === 'correct' || result === 'close') return sum + 1;
+    return result === 'partial' ? sum + 0.5 : sum;
+  }, 0);
+  const exactPercent = graded.length > 0 ? (score / graded.length) * 100 : 0;
+
+  return {
+    id: `exam-${Date.now().toString(36)}`,
+    takenAt: new Date().toISOString(),
+    format: settings.format,
+    passMark: settings.passMark,
+    timeLimitMinutes: settings.timeLimitMinutes,
+    timeUsedSec,
+    timedOut,
+    score,
+    total: graded.length,
+    percent: Math.round(exactPercent),
+    // Compared before rounding, so 79.5% does not pass a mark of 80%
+    passed: exactPercent >= settings.passMark,
+    questions: graded
+  };
+}
+
+/**
+ * Grade a finished mock exam and store the record
+ * @param {Array<Object>} questions - Exam questions
+ * @param {Array} answers - Answer per question (null if unanswered)
+ * @param {Array} allFlowers - Whole catalog
+ * @param {Object} settings - Exam settings
+ * @param {Object} timing - { timeUsedSec, timedOut }
+ * @returns {ExamRecord} The stored record
+ */
+export function gradeExam(questions, answers, allFlowers, settings, timing) {
+  const record = scoreExam(questions, answers, allFlowers, settings, timing);
+  saveExamRecords([record, ...getExamRecords()]);
+  return record;
+}
+
+/**
+ * Delete all exam records
+ */
+export function clearExamRecords() {
+  localStorage.removeItem(profileKey(EXAMS_KEY));
+}
+
+/**
+ * Check exam records from a backup
+ * @param {Array} records - Exam records
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+export function validateExamRecords(records) {
+  if (!Array.isArray(records)) return ['Exam records must be a list'];
+  const bad = records.findIndex(record =>
+    !record || typeof record.id !== 'string' || typeof record.takenAt !== 'string'
+      || typeof record.score !== 'number' || !Array.isArray(record.questions)
+  );
+  return bad === -1 ? [] : [`Exam record ${bad + 1} is malformed`];
+}
+
+/**
+ * Restore exam records from a backup
+ * @param {Array<ExamRecord>} records - Exam records (validated)
+ * @param {string} mode - 'replace' or 'merge' (records with the same id are kept once)
+ */
+export function restoreExamRecords(records, mode) {
+  if (mode === 'replace') {
+    saveExamRecords(records);
+    return;
+  }
+
+  const byId = new Map(getExamRecords().map(record => [record.id, record]));
+  records.forEach(record => byId.set(record.id, record));
+  saveExamRecords([...byId.values()]);
+}
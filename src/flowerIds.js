@@ -0,0 +1,40 @@
+// Stable flower ids. Progress, history, decks and image curation are keyed by
+// id, so editing a flower's scientific name does not orphan its data.
+
+/**
+ * Renamed catalog ids: old id -> new id. When a built-in flower's scientific
+ * name changes in flowerlist.md its derived id changes too; add the old id
+ * here so existing progress and history follow the flower, e.g.
+ *   'consolida-ajacis': 'delphinium-consolida'
+ * Aliases are applied to stored data at startup (see migrations.js).
+ */
+export const FLOWER_ID_ALIASES = {};
+
+/**
+ * Derive an id from a scientific name: "Rosa (spray)" -> "rosa-spray"
+ * @param {string} scientificName - Scientific name
+ * @returns {string} Flower id
+ */
+export function toFlowerId(scientificName) {
+  return String(scientificName)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Follow the alias table to a flower's current id
+ * @param {string} id - Possibly outdated flower id
+ * @returns {string} Current id
+ */
+export function resolveFlowerId(id) {
+  let current = id;
+  const visited = new Set();
+  while (FLOWER_ID_ALIASES[current] && !visited.has(current)) {
+    visited.add(current);
+    current = FLOWER_ID_ALIASES[current];
+  }
+  return current;
+}
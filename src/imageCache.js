@@ -0,0 +1,401 @@
+// Persistent cache of resolved flower images with background prefetching
+import { fetchFlowerImageSmart } from './imageService';
+import { isImageBanned, pickPinnedImage } from './imageCuration';
+
+const DB_NAME = 'floral_quiz_images';
+const STORE_NAME = 'images';
+const BLOB_CACHE_NAME = 'floral-quiz-image-blobs';
+
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Re-resolve images after a week
+const MAX_IMAGES_PER_FLOWER = 3; // Keep a few images per flower for variety
+const PREFETCH_CONCURRENCY = 3;
+const PREFETCH_SPACING_MS = 150; // Minimum gap between starting API lookups
+
+let dbPromise = null;
+const memoryStore = new Map(); // Fallback when IndexedDB is unavailable
+const inFlight = new Map(); // scientific name (+ refresh flag) -> Promise of a resolved URL
+const objectUrls = new Map(); // remote URL -> blob: URL created this session, until released
+let lastLookupStart = 0;
+
+/**
+ * Open (and create if needed) the IndexedDB database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Failed to open image cache:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Read a cache entry
+ * @param {string} key - Flower scientific name
+ * @returns {Promise<Object|null>} Entry { key, images: [{ ...imageRecord, fetchedAt }] }
+ */
+async function readEntry(key) {
+  const db = await openDb();
+  if (!db) return memoryStore.get(key) || null;
+
+  return new Promise(resolve => {
+    const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => resolve(null);
+  });
+}
+
+/**
+ * Write a cache entry
+ * @param {Object} entry - Entry to store
+ */
+async function writeEntry(entry) {
+  const db = await openDb();
+  if (!db) {
+    memoryStore.set(entry.key, entry);
+    return;
+  }
+
+  await new Promise(resolve => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).put(entry);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => {
+      console.error('Failed to write image cache:', transaction.error);
+      resolve();
+    };
+  });
+}
+
+/**
+ * Delete a cache entry
+ * @param {string} key - Flower scientific name
+ */
+async function deleteEntry(key) {
+  memoryStore.delete(key);
+  const db = await openDb();
+  if (!db) return;
+
+  await new Promise(resolve => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).delete(key);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => {
+      console.error('Failed to delete from image cache:', transaction.error);
+      resolve();
+    };
+  });
+}
+
+/**
+ * Drop expired images from an entry
+ * @param {Object|null} entry - Cache entry
+ * @returns {Array} Images that are still fresh
+ */
+function freshImages(entry) {
+  if (!entry) return [];
+  const cutoff = Date.now() - CACHE_TTL_MS;
+  return entry.images.filter(image => image.fetchedAt > cutoff);
+}
+
+/**
+ * Read every cache entry
+ * @returns {Promise<Array>} Entries
+ */
+async function readAllEntries() {
+  const db = await openDb();
+  if (!db) return [...memoryStore.values()];
+
+  return new Promise(resolve => {
+    const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => resolve([]);
+  });
+}
+
+/**
+ * Revoke a blob: URL made for an image, so the browser can free its bytes
+ * @param {string} url - Image URL
+ */
+function revokeDisplayUrl(url) {
+  if (!objectUrls.has(url)) return;
+  URL.revokeObjectURL(objectUrls.get(url));
+  objectUrls.delete(url);
+}
+
+/**
+ * Delete stored image bytes that are no longer cached
+ * @param {Array<string>} urls - Image URLs
+ */
+async function deleteBlobs(urls) {
+  urls.forEach(revokeDisplayUrl);
+  if (typeof caches === 'undefined' || urls.length === 0) return;
+
+  try {
+    const cache = await caches.open(BLOB_CACHE_NAME);
+    await Promise.all(urls.map(url => cache.delete(url)));
+  } catch (error) {
+    console.warn('Could not delete cached image bytes:', error);
+  }
+}
+
+/**
+ * Replace a cache entry's images, deleting the bytes of images that were dropped
+ * @param {string} key - Flower scientific name
+ * @param {Object|null} entry - Entry as read
+ * @param {Array} images - Images to keep
+ */
+async function replaceImages(key, entry, images) {
+  if (images.length > 0) {
+    await writeEntry({ key, images });
+  } else if (entry) {
+    await deleteEntry(key);
+  }
+
+  const kept = new Set(images.map(image => image.url));
+  await deleteBlobs((entry?.images || []).map(image => image.url).filter(url => !kept.has(url)));
+}
+
+/**
+ * Store the image bytes in the Cache API so they load without the network
+ * @param {string} url - Image URL
+ */
+async function storeBlob(url) {
+  if (typeof caches === 'undefined' || url.startsWith('blob:') || url.startsWith('data:')) return;
+
+  try {
+    const cache = await caches.open(BLOB_CACHE_NAME);
+    if (await cache.match(url)) return;
+    const response = await fetch(url, { mode: 'cors' });
+    if (response.ok) {
+      await cache.put(url, response);
+    }
+  } catch (error) {
+    // Image host without CORS - the URL alone is still cached
+    console.warn('Could not cache image bytes:', url, error);
+  }
+}
+
+/**
+ * Turn a cached URL into something the <img> can show, preferring stored bytes
+ * @param {string} url - Image URL
+ * @returns {Promise<string>} blob: URL if the bytes are cached, otherwise the URL
+ */
+async function toDisplayUrl(url) {
+  if (objectUrls.has(url)) return objectUrls.get(url);
+  if (typeof caches === 'undefined') return url;
+
+  try {
+    const cache = await caches.open(BLOB_CACHE_NAME);
+    const response = await cache.match(url);
+    if (!response) return url;
+    const objectUrl = URL.createObjectURL(await response.blob());
+    objectUrls.set(url, objectUrl);
+    return objectUrl;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Add the URL to show in the <img> to an image record. Also used to show
+ * image records saved earlier, whose blob: URLs did not survive a reload.
+ * @param {Object} image - Image record
+ * @returns {Promise<Object>} Image record with `src` set
+ */
+export async function withDisplayUrl(image) {
+  return { ...image, src: await toDisplayUrl(image.url) };
+}
+
+/**
+ * Wait so API lookups start at least PREFETCH_SPACING_MS apart
+ */
+async function throttleLookup() {
+  const now = Date.now();
+  const startAt = Math.max(now, lastLookupStart + PREFETCH_SPACING_MS);
+  lastLookupStart = startAt;
+  if (startAt > now) {
+    await new Promise(resolve => setTimeout(resolve, startAt - now));
+  }
+}
+
+/**
+ * Resolve a new image through the providers and add it to the cache
+ * @param {Object} flower - Flower object
+ * @param {boolean} refresh - True to skip pinned images
+ * @returns {Promise<Object|null>} Resolved image record
+ */
+function resolveAndStore(flower, refresh = false) {
+  const key = flower.scientific;
+  // A refresh must not share a lookup that may return a pinned image
+  const flightKey = refresh ? `${key}|refresh` : key;
+  if (inFlight.has(flightKey)) return inFlight.get(flightKey);
+
+  const promise = (async () => {
+    await throttleLookup();
+    const image = await fetchFlowerImageSmart(flower, { refresh });
+    if (!image) return null;
+
+    const entry = await readEntry(key);
+    const images = freshImages(entry)
+      .filter(cached => cached.url !== image.url && !isImageBanned(flower.id, cached));
+    images.unshift({ ...image, fetchedAt: Date.now() });
+    await replaceImages(key, entry, images.slice(0, MAX_IMAGES_PER_FLOWER));
+    await storeBlob(image.url);
+    return image;
+  })().finally(() => inFlight.delete(flightKey));
+
+  inFlight.set(flightKey, promise);
+  return promise;
+}
+
+/**
+ * Get an image for a flower, from the cache when possible
+ * @param {Object} flower - Flower object
+ * @param {Object} options - { refresh: true to fetch a different, unpinned image }
+ * @returns {Promise<Object|null>} Image record with `src` ready for an <img>
+ */
+export async function getFlowerImage(flower, { refresh = false } = {}) {
+  if (!refresh) {
+    const pinned = pickPinnedImage(flower.id);
+    if (pinned) {
+      return withDisplayUrl(pinned);
+    }
+
+    const entry = await readEntry(flower.scientific);
+    const images = freshImages(entry).filter(image => !isImageBanned(flower.id, image));
+    if (entry && images.length < entry.images.length) {
+      await replaceImages(flower.scientific, entry, images);
+    }
+    if (images.length > 0) {
+      // Randomly pick one of the cached images for variety
+      const { fetchedAt, ...image } = images[Math.floor(Math.random() * images.length)];
+      return withDisplayUrl(image);
+    }
+  }
+
+  const image = await resolveAndStore(flower, refresh);
+  return image ? withDisplayUrl(image) : null;
+}
+
+/**
+ * Load images for several flowers in parallel, a few at a time
+ * @param {Array} flowerList - Flowers to load
+ * @param {Object} options - { onProgress(done, total), concurrency }
+ * @returns {Promise<Array>} Image records in the same order as flowerList (null if not found)
+ */
+export async function getFlowerImages(flowerList, { onProgress, concurrency = PREFETCH_CONCURRENCY } = {}) {
+  const results = new Array(flowerList.length).fill(null);
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < flowerList.length) {
+      const index = next++;
+      try {
+        results[index] = await getFlowerImage(flowerList[index]);
+      } catch (error) {
+        console.error('Error loading image:', error);
+      }
+      done++;
+      if (onProgress) onProgress(done, flowerList.length);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, flowerList.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Warm the cache in the background for flowers that have no fresh image yet
+ * @param {Array} flowerList - Flowers likely to be shown soon
+ */
+export async function prefetchImages(flowerList) {
+  const missing = [];
+  for (const flower of flowerList) {
+    if (freshImages(await readEntry(flower.scientific)).length === 0) {
+      missing.push(flower);
+    }
+  }
+  if (missing.length === 0) return;
+
+  console.log(`🖼️ Prefetching images for ${missing.length} flowers`);
+  await getFlowerImages(missing, { concurrency: 2 });
+}
+
+/**
+ * Forget a flower's cached images, so the next lookup goes through the
+ * providers again (e.g. after its image URLs were edited)
+ * @param {string} scientificName - Flower's scientific name
+ * @returns {Promise<void>}
+ */
+export async function invalidateFlowerImages(scientificName) {
+  await replaceImages(scientificName, await readEntry(scientificName), []);
+}
+
+/**
+ * Revoke the blob: URLs made so far. Call when no images are on screen;
+ * images shown later get new ones.
+ */
+export function releaseDisplayUrls() {
+  [...objectUrls.keys()].forEach(revokeDisplayUrl);
+}
+
+/**
+ * Delete expired images, and stored bytes that no cache entry refers to
+ * (reported images are dropped when their flower's entry is next read)
+ * @returns {Promise<void>}
+ */
+export async function pruneImageCache() {
+  const kept = new Set();
+  for (const entry of await readAllEntries()) {
+    const images = freshImages(entry);
+    if (images.length < entry.images.length) await replaceImages(entry.key, entry, images);
+    images.forEach(image => kept.add(image.url));
+  }
+
+  if (typeof caches === 'undefined') return;
+  try {
+    const cache = await caches.open(BLOB_CACHE_NAME);
+    // Stored requests hold absolute URLs, while local images are cached by path
+    const keptAbsolute = new Set([...kept].map(url => new URL(url, location.href).href));
+    const orphans = (await cache.keys()).map(request => request.url).filter(url => !keptAbsolute.has(url));
+    await deleteBlobs(orphans);
+  } catch (error) {
+    console.warn('Could not prune cached image bytes:', error);
+  }
+}
+
+/**
+ * Remove every cached image
+ */
+export async function clearImageCache() {
+  releaseDisplayUrls();
+  memoryStore.clear();
+  const db = await openDb();
+  if (db) {
+    await new Promise(resolve => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      transaction.objectStore(STORE_NAME).clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => resolve();
+    });
+  }
+  if (typeof caches !== 'undefined') {
+    await caches.delete(BLOB_CACHE_NAME);
+  }
+}
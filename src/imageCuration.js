@@ -0,0 +1,164 @@
+// Per-flower image curation: banned (reported) images and pinned good ones
+
+const CURATION_KEY = 'floral_quiz_image_curation';
+
+// How often a flower with pinned images shows one of them instead of a new search result
+const PINNED_PREFERENCE = 0.75;
+
+/**
+ * Get curation data for all flowers
+ * @returns {Object} { [flowerId]: { banned: [imageKey], pinned: [imageRecord] } }
+ */
+function getCuration() {
+  const data = localStorage.getItem(CURATION_KEY);
+  return data ? JSON.parse(data) : {};
+}
+
+/**
+ * Get (and create if needed) the curation entry for a flower
+ * @param {Object} curation - All curation data
+ * @param {string} flowerId - The flower's id
+ * @returns {Object} { banned, pinned }
+ */
+function getEntry(curation, flowerId) {
+  if (!curation[flowerId]) {
+    curation[flowerId] = { banned: [], pinned: [] };
+  }
+  return curation[flowerId];
+}
+
+/**
+ * Derive a stable key for an image. Wikimedia images (including resized
+ * thumbnails) map to their "File:Name.jpg" title, anything else to the URL.
+ * @param {Object|string} image - Image record, URL or Wikimedia file title
+ * @returns {string} Image key
+ */
+export function getImageKey(image) {
+  if (typeof image === 'object') {
+    if (image.title && image.title.startsWith('File:')) return image.title;
+    return getImageKey(image.url);
+  }
+  if (image.startsWith('File:')) return image;
+
+  const match = image.match(/upload\.wikimedia\.org\/wikipedia\/[^/]+\/(?:thumb\/)?[0-9a-f]\/[0-9a-f]{2}\/([^/?#]+)/);
+  if (match) {
+    return `File:${decodeURIComponent(match[1]).replace(/_/g, ' ')}`;
+  }
+  return image;
+}
+
+/**
+ * Normalize a pinned entry (older data stored bare URLs)
+ * @param {Object|string} pinned - Pinned entry
+ * @returns {Object} Image record
+ */
+function toRecord(pinned) {
+  return typeof pinned === 'string' ? { url: pinned } : pinned;
+}
+
+/**
+ * Report an image as bad so it is never shown for this flower again
+ * @param {string} flowerId - The flower's id
+ * @param {Object|string} image - Image record, URL or Wikimedia file title
+ */
+export function banImage(flowerId, image) {
+  const curation = getCuration();
+  const entry = getEntry(curation, flowerId);
+  const key = getImageKey(image);
+
+  if (!entry.banned.includes(key)) {
+    entry.banned.push(key);
+  }
+  // A reported image can't stay pinned
+  entry.pinned = entry.pinned.filter(pinned => getImageKey(toRecord(pinned)) !== key);
+
+  localStorage.setItem(CURATION_KEY, JSON.stringify(curation));
+}
+
+/**
+ * Pin an image as a known-good photo of this flower
+ * @param {string} flowerId - The flower's id
+ * @param {Object} image - Image record (kept with its attribution)
+ */
+export function pinImage(flowerId, image) {
+  const curation = getCuration();
+  const entry = getEntry(curation, flowerId);
+  const key = getImageKey(image);
+  const { url, title, author, license, licenseUrl, sourceUrl, provider } = image;
+
+  if (!entry.pinned.some(pinned => getImageKey(toRecord(pinned)) === key)) {
+    entry.pinned.push({ url, title, author, license, licenseUrl, sourceUrl, provider });
+  }
+  entry.banned = entry.banned.filter(banned => banned !== key);
+
+  localStorage.setItem(CURATION_KEY, JSON.stringify(curation));
+}
+
+/**
+ * Remove an image from the flower's pinned set
+ * @param {string} flowerId - The flower's id
+ * @param {Object|string} image - Image record or URL
+ */
+export function unpinImage(flowerId, image) {
+  const curation = getCuration();
+  const entry = getEntry(curation, flowerId);
+  const key = getImageKey(image);
+  entry.pinned = entry.pinned.filter(pinned => getImageKey(toRecord(pinned)) !== key);
+  localStorage.setItem(CURATION_KEY, JSON.stringify(curation));
+}
+
+/**
+ * Check whether an image was reported for this flower
+ * @param {string} flowerId - The flower's id
+ * @param {Object|string} image - Image record, URL or Wikimedia file title
+ * @returns {boolean} True if banned
+ */
+export function isImageBanned(flowerId, image) {
+  const entry = getCuration()[flowerId];
+  return !!entry && entry.banned.includes(getImageKey(image));
+}
+
+/**
+ * Check whether an image is pinned for this flower
+ * @param {string} flowerId - The flower's id
+ * @param {Object|string} image - Image record or URL
+ * @returns {boolean} True if pinned
+ */
+export function isImagePinned(flowerId, image) {
+  const key = getImageKey(image);
+  return getPinnedImages(flowerId).some(pinned => getImageKey(pinned) === key);
+}
+
+/**
+ * Get the reported image keys for a flower
+ * @param {string} flowerId - The flower's id
+ * @returns {Array<string>} Banned Wikimedia file titles or URLs
+ */
+export function getBannedImages(flowerId) {
+  const entry = getCuration()[flowerId];
+  return entry ? [...entry.banned] : [];
+}
+
+/**
+ * Get the pinned images for a flower
+ * @param {string} flowerId - The flower's id
+ * @returns {Array<Object>} Pinned image records
+ */
+export function getPinnedImages(flowerId) {
+  const entry = getCuration()[flowerId];
+  return entry ? entry.pinned.map(toRecord) : [];
+}
+
+/**
+ * Pick one of the flower's pinned images, most of the time. Returns null
+ * occasionally (or when nothing is pinned) so new photos still turn up.
+ * @param {string} flowerId - The flower's id
+ * @returns {Object|null} Pinned image record
+ */
+export function pickPinnedImage(flowerId) {
+  const pinned = getPinnedImages(flowerId);
+  if (pinned.length === 0 || Math.random() >= PINNED_PREFERENCE) {
+    return null;
+  }
+  return pinned[Math.floor(Math.random() * pinned.length)];
+}
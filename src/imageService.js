@@ -0,0 +1,126 @@
+// Image provider registry with an ordered fallback chain
+import { commonsProvider, wikipediaProvider } from './wikimediaService';
+import { localProvider } from './localImageProvider';
+import { isImageBanned, pickPinnedImage } from './imageCuration';
+
+/**
+ * An image together with the attribution needed to show it.
+ * @typedef {Object} ImageRecord
+ * @property {string} url - Image URL
+ * @property {string} [title] - File title, e.g. "File:Protea cynaroides.jpg"
+ * @property {string} [author] - Photographer / rights holder (plain text)
+ * @property {string} [license] - Short licence name, e.g. "CC BY-SA 4.0"
+ * @property {string} [licenseUrl] - Link to the licence text
+ * @property {string} [sourceUrl] - File description page (Commons file page for Wikimedia images)
+ * @property {string} provider - Id of the provider that found the image
+ */
+
+/**
+ * An image provider resolves a flower to an image record.
+ * @typedef {Object} ImageProvider
+ * @property {string} id - Unique provider id used in the fallback order
+ * @property {string} label - Human readable name
+ * @property {function(Object): Promise<ImageRecord|null>} fetchImage - Resolve a flower to an image
+ */
+
+const DEFAULT_ORDER = ['catalog', 'local', 'commons', 'wikipedia'];
+
+const providers = new Map();
+let providerOrder = parseOrder(import.meta.env.VITE_IMAGE_PROVIDERS) || DEFAULT_ORDER;
+
+/**
+ * Parse a comma separated provider list, e.g. "local,commons"
+ * @param {string} value - Raw setting
+ * @returns {Array|null} Provider ids or null if unset
+ */
+function parseOrder(value) {
+  if (!value) return null;
+  const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Register an image provider (replaces any provider with the same id)
+ * @param {ImageProvider} provider - Provider to register
+ */
+export function registerImageProvider(provider) {
+  if (!provider || !provider.id || typeof provider.fetchImage !== 'function') {
+    throw new Error('Image provider needs an id and a fetchImage function');
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get all registered providers
+ * @returns {Array<ImageProvider>} Registered providers
+ */
+export function getImageProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Set the order in which providers are tried
+ * @param {Array<string>} ids - Provider ids, first tried first
+ */
+export function setImageProviderOrder(ids) {
+  providerOrder = [...ids];
+}
+
+/**
+ * Get the order in which providers are tried
+ * @returns {Array<string>} Provider ids
+ */
+export function getImageProviderOrder() {
+  return [...providerOrder];
+}
+
+/**
+ * Fetch an image for a flower. Pinned images are preferred; otherwise each
+ * provider is tried in order until one returns an image that wasn't reported.
+ * @param {Object} flower - Flower object with scientific and common names
+ * @param {Object} options - { refresh: true to skip pinned images and search for a different one }
+ * @returns {Promise<ImageRecord|null>} - Image record or null if not found
+ */
+export async function fetchFlowerImageSmart(flower, { refresh = false } = {}) {
+  const pinned = refresh ? null : pickPinnedImage(flower.id);
+  if (pinned) {
+    return pinned;
+  }
+
+  for (const id of providerOrder) {
+    const provider = providers.get(id);
+    if (!provider) continue;
+
+    try {
+      const image = await provider.fetchImage(flower);
+      if (image && !isImageBanned(flower.id, image)) {
+        return image;
+      }
+    } catch (error) {
+      console.error(`Image provider "${id}" failed:`, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Image provider for the image URLs entered in the flower editor
+ * @type {ImageProvider}
+ */
+const catalogProvider = {
+  id: 'catalog',
+  label: 'Catalog images',
+  async fetchImage(flower) {
+    if (!flower.imageUrls || flower.imageUrls.length === 0) {
+      return null;
+    }
+    const url = flower.imageUrls[Math.floor(Math.random() * flower.imageUrls.length)];
+    return { url, title: url, author: '', license: '', licenseUrl: null, sourceUrl: url, provider: 'catalog' };
+  }
+};
+
+registerImageProvider(catalogProvider);
+registerImageProvider(localProvider);
+registerImageProvider(commonsProvider);
+registerImageProvider(wikipediaProvider);
@@ -0,0 +1,75 @@
+// Image provider that serves our own photos from a local folder with a manifest
+
+// Folder holding manifest.json and the photos (served from public/ by Vite)
+const LOCAL_PHOTOS_URL = (import.meta.env.VITE_LOCAL_PHOTOS_URL || '/flower-photos').replace(/\/$/, '');
+
+let manifestPromise = null;
+
+/**
+ * Load the photo manifest once. The manifest maps a flower's scientific name
+ * to a list of file names (relative to the photo folder) or absolute URLs,
+ * optionally with attribution:
+ *   { "Protea": ["king-protea.jpg", { "file": "pink-ice.jpg", "author": "Sam", "license": "CC BY 4.0" }] }
+ * @returns {Promise<Object>} Manifest, or an empty object if there is none
+ */
+function loadManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(`${LOCAL_PHOTOS_URL}/manifest.json`)
+      .then(response => (response.ok ? response.json() : {}))
+      .then(data => (data && typeof data === 'object' && !Array.isArray(data) ? data : {}))
+      .catch(() => {
+        // No manifest (or the dev server answered with index.html) - provider stays empty
+        return {};
+      });
+  }
+  return manifestPromise;
+}
+
+/**
+ * Resolve a manifest entry to a URL
+ * @param {string} file - File name or absolute URL
+ * @returns {string} Image URL
+ */
+function resolvePhotoUrl(file) {
+  if (/^(https?:|data:|blob:|\/)/.test(file)) return file;
+  return `${LOCAL_PHOTOS_URL}/${file.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Reload the manifest on the next fetch (e.g. after adding photos)
+ */
+export function resetLocalManifest() {
+  manifestPromise = null;
+}
+
+/**
+ * Image provider backed by a local photo folder
+ * @type {import('./imageService').ImageProvider}
+ */
+export const localProvider = {
+  id: 'local',
+  label: 'Shop photos',
+  async fetchImage(flower) {
+    const manifest = await loadManifest();
+    const files = manifest[flower.scientific];
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return null;
+    }
+
+    // Randomly select one photo for variety
+    const entry = files[Math.floor(Math.random() * files.length)];
+    const photo = typeof entry === 'string' ? { file: entry } : entry;
+    if (!photo || !photo.file) return null;
+
+    return {
+      url: resolvePhotoUrl(photo.file),
+      title: photo.file,
+      author: photo.author || 'Shop photo',
+      license: photo.license || '',
+      licenseUrl: photo.licenseUrl || null,
+      sourceUrl: photo.sourceUrl || null,
+      provider: 'local'
+    };
+  }
+};
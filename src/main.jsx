@@ -2,6 +2,18 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
+import { runMigrations } from './migrations'
+import { startSync } from './syncService'
+import { pruneImageCache } from './imageCache'
+
+// Upgrade stored data before any component reads it
+runMigrations()
+
+// Does nothing unless a sync server has been set up for the profile
+startSync()
+
+// Free the space of expired and orphaned cached images
+pruneImageCache()
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
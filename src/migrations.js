@@ -0,0 +1,271 @@
+// Stored data schema versioning. Migrations are pure transforms over the raw
+// stored state, applied in order at startup (and to older backups on import).
+import { flowers as builtInFlowers } from './flowersData';
+import { toFlowerId, resolveFlowerId } from './flowerIds';
+import { pickNewerRecord } from './storageService';
+import { getProfiles, profileKey, PROFILE_DATA_KEYS } from './profileService';
+import { CATALOG_EDITS_KEY } from './catalogService';
+
+const SCHEMA_VERSION_KEY = 'floral_quiz_schema_version';
+
+// Every localStorage key holding user data, by state field. Keys in
+// PROFILE_DATA_KEYS are stored once per learner profile.
+const STATE_KEYS = {
+  progress: 'floral_quiz_progress',
+  attempts: 'floral_quiz_attempts',
+  summaries: 'floral_quiz_attempt_summaries',
+  decks: 'floral_quiz_decks',
+  curation: 'floral_quiz_image_curation',
+  catalogEdits: CATALOG_EDITS_KEY,
+  exams: 'floral_quiz_exams'
+};
+
+const STATE_DEFAULTS = {
+  progress: {},
+  attempts: [],
+  summaries: [],
+  decks: [],
+  curation: {},
+  catalogEdits: { added: [], edited: {}, removed: [] },
+  exams: []
+};
+
+/**
+ * Version 1: fill in fields that early progress records were saved without
+ * @param {Object} state - Stored state
+ * @returns {Object} Migrated state
+ */
+function fillRecordDefaults(state) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const progress = {};
+
+  Object.entries(state.progress).forEach(([key, record]) => {
+    const { stageCorrectCount, ...rest } = record; // Replaced by review intervals
+    const interval = typeof rest.interval === 'number' ? rest.interval : 0;
+    progress[key] = {
+      correctCount: 0,
+      incorrectCount: 0,
+      lastSeen: null,
+      ease: 2.5,
+      repetitions: 0,
+      lapses: 0,
+      flaggedForReview: false,
+      isNew: false, // Records from before isNew existed had been seen
+      ...rest,
+      interval,
+      dueDate: rest.dueDate || (rest.lastSeen
+        ? new Date(Date.parse(rest.lastSeen) + interval * DAY_MS).toISOString()
+        : null)
+    };
+  });
+
+  return { ...state, progress };
+}
+
+/**
+ * Version 2: key progress, history, decks, image curation and catalog edits
+ * by stable flower id instead of scientific name
+ * @param {Object} state - Stored state
+ * @returns {Object} Migrated state
+ */
+function keyByFlowerId(state) {
+  const builtInIds = new Map(builtInFlowers.map(flower => [flower.scientific, flower.id]));
+  const nameToId = new Map(builtInIds);
+  const edits = state.catalogEdits;
+  const alreadyKeyed = edits.added.every(flower => flower.id);
+
+  let catalogEdits = edits;
+  if (alreadyKeyed) {
+    // Edits are current (e.g. when migrating a backup); only learn the renames
+    Object.entries(edits.edited).forEach(([id, flower]) => nameToId.set(flower.scientific, id));
+    edits.added.forEach(flower => nameToId.set(flower.scientific, flower.id));
+  } else {
+    // Edited built-ins were keyed by original name and their progress by the edited name
+    const edited = {};
+    Object.entries(edits.edited).forEach(([originalName, flower]) => {
+      const id = builtInIds.get(originalName) || toFlowerId(originalName);
+      edited[id] = flower;
+      nameToId.set(flower.scientific, id);
+    });
+
+    const usedIds = new Set();
+    const added = edits.added.map(flower => {
+      const base = `custom-${toFlowerId(flower.scientific)}`;
+      let id = base;
+      for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+      usedIds.add(id);
+      nameToId.set(flower.scientific, id);
+      return { id, ...flower };
+    });
+
+    const removed = edits.removed.map(name => builtInIds.get(name) || toFlowerId(name));
+    catalogEdits = { added, edited, removed };
+  }
+
+  const idFor = name => nameToId.get(name) || toFlowerId(name);
+
+  const progress = {};
+  Object.entries(state.progress).forEach(([name, record]) => {
+    const id = idFor(name);
+    progress[id] = pickNewerRecord(progress[id], record);
+  });
+
+  const curation = {};
+  Object.entries(state.curation).forEach(([name, entry]) => {
+    const id = idFor(name);
+    const existing = curation[id] || { banned: [], pinned: [] };
+    curation[id] = {
+      banned: [...new Set([...existing.banned, ...(entry.banned || [])])],
+      pinned: [...existing.pinned, ...(entry.pinned || [])]
+    };
+  });
+
+  return {
+    ...state,
+    progress,
+    curation,
+    catalogEdits,
+    attempts: state.attempts.map(attempt => ({ ...attempt, flower: idFor(attempt.flower) })),
+    summaries: state.summaries.map(summary => ({ ...summary, flower: idFor(summary.flower) })),
+    decks: state.decks.map(deck => ({ ...deck, flowers: [...new Set(deck.flowers.map(idFor))] }))
+  };
+}
+
+// Ordered migrations; a state at version N needs every migration above N
+const MIGRATIONS = [
+  { version: 1, description: 'Fill in fields missing from early progress records', migrate: fillRecordDefaults },
+  { version: 2, description: 'Key stored data by stable flower id', migrate: keyByFlowerId }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Resolve aliased flower ids in a { [flowerId]: count } map
+ * @param {Object} counts - Counts by flower id
+ * @returns {Object} Counts by current flower id
+ */
+function resolveCounts(counts) {
+  const resolved = {};
+  Object.entries(counts).forEach(([id, count]) => {
+    const current = resolveFlowerId(id);
+    resolved[current] = (resolved[current] || 0) + count;
+  });
+  return resolved;
+}
+
+/**
+ * Move data stored under an aliased (renamed) flower id to the current id
+ * @param {Object} state - Stored state at the current schema version
+ * @returns {Object} State with aliases resolved
+ */
+function applyFlowerAliases(state) {
+  const progress = {};
+  Object.entries(state.progress).forEach(([id, record]) => {
+    const current = resolveFlowerId(id);
+    progress[current] = pickNewerRecord(progress[current], record);
+  });
+
+  const curation = {};
+  Object.entries(state.curation).forEach(([id, entry]) => {
+    curation[resolveFlowerId(id)] = entry;
+  });
+
+  return {
+    ...state,
+    progress,
+    curation,
+    attempts: state.attempts.map(attempt => ({
+      ...attempt,
+      flower: resolveFlowerId(attempt.flower),
+      ...(attempt.confusedWith && { confusedWith: resolveFlowerId(attempt.confusedWith) })
+    })),
+    summaries: state.summaries.map(summary => ({
+      ...summary,
+      flower: resolveFlowerId(summary.flower),
+      ...(summary.confusions && { confusions: resolveCounts(summary.confusions) })
+    })),
+    decks: state.decks.map(deck => ({ ...deck, flowers: [...new Set(deck.flowers.map(resolveFlowerId))] })),
+    exams: state.exams.map(exam => ({
+      ...exam,
+      questions: exam.questions.map(question => ({ ...question, flower: resolveFlowerId(question.flower) }))
+    }))
+  };
+}
+
+/**
+ * Bring a stored state up to the current schema version
+ * @param {Object} state - Partial state; missing fields are treated as empty
+ * @param {number} fromVersion - Schema version the state was saved at
+ * @returns {Object} Migrated state
+ */
+export function migrateState(state, fromVersion) {
+  let migrated = { ...STATE_DEFAULTS, ...state };
+
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      console.log(`🗄️ Migrating stored data to v${migration.version}: ${migration.description}`);
+      migrated = migration.migrate(migrated);
+    });
+
+  return applyFlowerAliases(migrated);
+}
+
+/**
+ * Get the schema version of the stored data (0 = saved before versioning)
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion() {
+  const version = localStorage.getItem(SCHEMA_VERSION_KEY);
+  return version ? Number(version) : 0;
+}
+
+/**
+ * Migrate localStorage to the current schema. Run once at startup, before
+ * anything reads stored data.
+ */
+export function runMigrations() {
+  const fromVersion = getSchemaVersion();
+  if (fromVersion > SCHEMA_VERSION) {
+    console.warn(`Stored data is from a newer version of the app (schema v${fromVersion})`);
+    return;
+  }
+
+  const read = key => {
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : undefined;
+  };
+  const isProfileField = field => PROFILE_DATA_KEYS.includes(STATE_KEYS[field]);
+
+  // Shared data is read once, migrated with the first profile and used
+  // unchanged as context (e.g. catalog edits) for the others
+  const shared = {};
+  Object.keys(STATE_KEYS).filter(field => !isProfileField(field)).forEach(field => {
+    const data = read(STATE_KEYS[field]);
+    if (data !== undefined) shared[field] = data;
+  });
+
+  getProfiles().forEach(({ id }, index) => {
+    const keys = {};
+    Object.entries(STATE_KEYS).forEach(([field, key]) => {
+      keys[field] = isProfileField(field) ? profileKey(key, id) : key;
+    });
+
+    const state = { ...shared };
+    Object.keys(STATE_KEYS).filter(isProfileField).forEach(field => {
+      const data = read(keys[field]);
+      if (data !== undefined) state[field] = data;
+    });
+
+    const migrated = migrateState(state, fromVersion);
+
+    Object.entries(keys).forEach(([field, key]) => {
+      if (index > 0 && !isProfileField(field)) return;
+      if (state[field] !== undefined || fromVersion < SCHEMA_VERSION) {
+        localStorage.setItem(key, JSON.stringify(migrated[field]));
+      }
+    });
+  });
+
+  localStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+}
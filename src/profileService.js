@@ -0,0 +1,196 @@
+// Learner profiles sharing one device. Each profile's progress, answer history
+// and settings live under its own localStorage keys; the catalog, custom decks
+// and image curation are shared by everyone.
+const PROFILES_KEY = 'floral_quiz_profiles';
+
+// The profile that data saved before profiles existed belongs to. Its keys
+// have no suffix, so that data needs no moving.
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Base keys of the data that belongs to one learner
+export const PROFILE_DATA_KEYS = [
+  'floral_quiz_progress',
+  'floral_quiz_attempts',
+  'floral_quiz_attempt_summaries',
+  'floral_quiz_session',
+  'floral_quiz_exams',
+  'floral_quiz_exam_settings',
+  'floral_quiz_selected_decks',
+  'floral_quiz_distractor_difficulty',
+  'floral_quiz_sync',
+  'floral_quiz_sync_queue',
+  'floral_quiz_class'
+];
+
+let activeId = null; // This tab's profile; other tabs may use a different one
+const listeners = new Set();
+
+/**
+ * Read the saved profile list
+ * @returns {Object} { profiles: [{ id, name, createdAt }], lastActiveId }
+ */
+function loadProfileData() {
+  const data = localStorage.getItem(PROFILES_KEY);
+  if (data) return JSON.parse(data);
+  return {
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Learner 1', createdAt: null }],
+    lastActiveId: DEFAULT_PROFILE_ID
+  };
+}
+
+/**
+ * Save the profile list
+ * @param {Object} data - { profiles, lastActiveId }
+ */
+function saveProfileData(data) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(data));
+}
+
+/**
+ * Tell subscribers the active profile changed
+ */
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Check a profile name
+ * @param {string} name - Proposed name
+ * @param {Array} profiles - Existing profiles
+ * @param {string} ignoreId - Profile being renamed (may keep its own name)
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is empty or taken
+ */
+function checkProfileName(name, profiles, ignoreId = null) {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Profile name is required');
+  }
+  if (profiles.some(p => p.id !== ignoreId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A profile named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+/**
+ * Get all profiles
+ * @returns {Array} Profiles { id, name, createdAt } in creation order
+ */
+export function getProfiles() {
+  return loadProfileData().profiles;
+}
+
+/**
+ * Get the id of this tab's profile (the last one used on this device when the app opened)
+ * @returns {string} Profile id
+ */
+export function getActiveProfileId() {
+  if (activeId === null) {
+    const { profiles, lastActiveId } = loadProfileData();
+    activeId = profiles.some(p => p.id === lastActiveId) ? lastActiveId : profiles[0].id;
+  }
+  return activeId;
+}
+
+/**
+ * Get this tab's profile
+ * @returns {Object} Profile { id, name, createdAt }
+ */
+export function getActiveProfile() {
+  const id = getActiveProfileId();
+  return getProfiles().find(p => p.id === id);
+}
+
+/**
+ * The localStorage key for a profile's copy of some data
+ * @param {string} baseKey - One of PROFILE_DATA_KEYS
+ * @param {string} profileId - Profile (defaults to the active one)
+ * @returns {string} Key, e.g. "floral_quiz_progress:p-lk2j3" (the default profile uses the base key)
+ */
+export function profileKey(baseKey, profileId = getActiveProfileId()) {
+  return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+}
+
+/**
+ * Create a profile (it starts with no progress)
+ * @param {string} name - Profile name
+ * @returns {Object} The new profile
+ */
+export function createProfile(name) {
+  const data = loadProfileData();
+  const profile = {
+    id: `p-${Date.now().toString(36)}`,
+    name: checkProfileName(name, data.profiles),
+    createdAt: new Date().toISOString()
+  };
+  saveProfileData({ ...data, profiles: [...data.profiles, profile] });
+  return profile;
+}
+
+/**
+ * Rename a profile
+ * @param {string} profileId - Profile id
+ * @param {string} name - New name
+ * @returns {Object} The renamed profile
+ */
+export function renameProfile(profileId, name) {
+  const data = loadProfileData();
+  const profile = data.profiles.find(p => p.id === profileId);
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+
+  profile.name = checkProfileName(name, data.profiles, profileId);
+  saveProfileData(data);
+  notify();
+  return profile;
+}
+
+/**
+ * Make a profile the active one in this tab, and the one the app opens with next time
+ * @param {string} profileId - Profile id
+ */
+export function switchProfile(profileId) {
+  const data = loadProfileData();
+  if (!data.profiles.some(p => p.id === profileId)) {
+    throw new Error('Profile not found');
+  }
+
+  activeId = profileId;
+  saveProfileData({ ...data, lastActiveId: profileId });
+  notify();
+}
+
+/**
+ * Delete a profile and all of its data. The last profile cannot be deleted.
+ * @param {string} profileId - Profile id
+ */
+export function deleteProfile(profileId) {
+  const data = loadProfileData();
+  const remaining = data.profiles.filter(p => p.id !== profileId);
+  if (remaining.length === data.profiles.length) {
+    throw new Error('Profile not found');
+  }
+  if (remaining.length === 0) {
+    throw new Error('The last profile cannot be deleted');
+  }
+
+  PROFILE_DATA_KEYS.forEach(baseKey => localStorage.removeItem(profileKey(baseKey, profileId)));
+  const lastActiveId = data.lastActiveId === profileId ? remaining[0].id : data.lastActiveId;
+  saveProfileData({ profiles: remaining, lastActiveId });
+
+  if (getActiveProfileId() === profileId) {
+    activeId = remaining[0].id;
+  }
+  notify();
+}
+
+/**
+ * Listen for profile switches and renames
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeProfile(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,136 @@
+// In-memory progress store. Reads come from memory, changed records are saved
+// to localStorage in batches, and changes saved by other tabs are picked up
+// through the storage event. Each learner profile has its own stored copy.
+import { profileKey, subscribeProfile } from './profileService';
+
+const STORAGE_KEY = 'floral_quiz_progress';
+const PERSIST_DELAY_MS = 500;
+
+let progress = null; // Loaded on first read
+let loadedKey = null; // Key the progress was loaded from, i.e. the active profile's
+let dirtyIds = new Set(); // Records changed since the last save
+let persistTimer = null;
+const listeners = new Set();
+
+/**
+ * Read the progress object saved in localStorage
+ * @returns {Object} Progress data indexed by flower id
+ */
+function loadStored() {
+  const data = localStorage.getItem(loadedKey);
+  return data ? JSON.parse(data) : {};
+}
+
+/**
+ * Tell subscribers the progress data changed
+ */
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Get the progress data. The object is replaced, never modified, on every
+ * change, so it can be compared by reference.
+ * @returns {Object} Progress data indexed by flower id
+ */
+export function readProgress() {
+  if (progress === null) {
+    loadedKey = profileKey(STORAGE_KEY);
+    progress = loadStored();
+  }
+  return progress;
+}
+
+/**
+ * Update one flower's record; it is saved after a short delay
+ * @param {string} flowerId - The flower's id
+ * @param {Object} record - New progress record (not modified afterwards)
+ */
+export function writeRecord(flowerId, record) {
+  progress = { ...readProgress(), [flowerId]: record };
+  dirtyIds.add(flowerId);
+
+  if (!persistTimer) {
+    persistTimer = setTimeout(flushProgress, PERSIST_DELAY_MS);
+  }
+  notify();
+}
+
+/**
+ * Replace all progress data and save it immediately
+ * @param {Object} data - Progress data indexed by flower id
+ */
+export function replaceProgress(data) {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  dirtyIds = new Set();
+
+  progress = data;
+  loadedKey = profileKey(STORAGE_KEY);
+  localStorage.setItem(loadedKey, JSON.stringify(data));
+  notify();
+}
+
+/**
+ * Save pending changes now. Only the records this tab changed are written
+ * over the stored copy, so records another tab saved meanwhile are kept.
+ */
+export function flushProgress() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  if (dirtyIds.size === 0) return;
+
+  const stored = loadStored();
+  dirtyIds.forEach(id => {
+    stored[id] = progress[id];
+  });
+  localStorage.setItem(loadedKey, JSON.stringify(stored));
+  dirtyIds = new Set();
+}
+
+/**
+ * Save the previous profile's pending changes and load the new profile's progress
+ */
+function handleProfileSwitch() {
+  if (progress === null || profileKey(STORAGE_KEY) === loadedKey) return;
+
+  flushProgress();
+  progress = null;
+  notify();
+}
+
+/**
+ * Listen for progress changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeProgress(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Adopt progress saved by another tab, keeping this tab's unsaved records
+ * @param {StorageEvent} event - Storage event
+ */
+function handleStorageEvent(event) {
+  // A null key means another tab cleared all of localStorage
+  if ((event.key !== loadedKey && event.key !== null) || progress === null) return;
+
+  const stored = event.newValue ? JSON.parse(event.newValue) : {};
+  dirtyIds.forEach(id => {
+    stored[id] = progress[id];
+  });
+  progress = stored;
+  notify();
+}
+
+subscribeProfile(handleProfileSwitch);
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', handleStorageEvent);
+  window.addEventListener('pagehide', flushProgress);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushProgress();
+  });
+}
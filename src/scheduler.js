@@ -0,0 +1,109 @@
+// SM-2 style spaced-repetition scheduler for flower reviews
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const DEFAULT_EASE = 2.5;
+export const MIN_EASE = 1.3;
+
+// Answer quality on the SM-2 0-5 scale
+export const ReviewQuality = {
+  FORGOT: 1,   // Wrong answer
+  HARD: 3,     // Correct, but with effort (close spelling, partial credit)
+  GOOD: 4,     // Correct
+  EASY: 5      // Correct and effortless
+};
+
+// Minutes until a lapsed flower comes back within the same session
+const LAPSE_RETRY_MINUTES = 10;
+
+/**
+ * Read scheduling fields from a progress record, filling in defaults for
+ * records saved before the scheduler existed
+ * @param {Object} record - Flower progress record
+ * @returns {Object} { ease, interval, repetitions, lapses, dueDate }
+ */
+export function getSchedule(record) {
+  const ease = typeof record?.ease === 'number' ? record.ease : DEFAULT_EASE;
+  const interval = typeof record?.interval === 'number' ? record.interval : 0;
+  const repetitions = typeof record?.repetitions === 'number' ? record.repetitions : 0;
+  const lapses = typeof record?.lapses === 'number' ? record.lapses : 0;
+
+  let dueDate = record?.dueDate || null;
+  if (!dueDate && record?.lastSeen) {
+    dueDate = new Date(new Date(record.lastSeen).getTime() + interval * DAY_MS).toISOString();
+  }
+
+  return { ease, interval, repetitions, lapses, dueDate };
+}
+
+/**
+ * Compute the next schedule after a review
+ * @param {Object} record - Flower progress record (may lack scheduling fields)
+ * @param {number} quality - Answer quality (see ReviewQuality)
+ * @param {Date} now - Review time
+ * @returns {Object} { ease, interval, repetitions, lapses, dueDate }
+ */
+export function scheduleReview(record, quality, now = new Date()) {
+  const current = getSchedule(record);
+
+  // Failed recall: reset the repetition chain and bring it back soon
+  if (quality < ReviewQuality.HARD) {
+    return {
+      ease: Math.max(MIN_EASE, current.ease - 0.2),
+      interval: 0,
+      repetitions: 0,
+      lapses: current.lapses + 1,
+      dueDate: new Date(now.getTime() + LAPSE_RETRY_MINUTES * 60 * 1000).toISOString()
+    };
+  }
+
+  // Reviewing before the due date doesn't prove the interval was survived,
+  // so an early correct answer keeps the current schedule
+  if (current.repetitions > 0 && current.dueDate && new Date(current.dueDate) > now) {
+    return current;
+  }
+
+  const ease = Math.max(
+    MIN_EASE,
+    current.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  let interval;
+  if (current.repetitions === 0) {
+    interval = 1;
+  } else if (current.repetitions === 1) {
+    interval = 3;
+  } else {
+    interval = Math.round(current.interval * ease);
+  }
+
+  return {
+    ease,
+    interval,
+    repetitions: current.repetitions + 1,
+    lapses: current.lapses,
+    dueDate: new Date(now.getTime() + interval * DAY_MS).toISOString()
+  };
+}
+
+/**
+ * Days until a flower is due (negative when overdue, 0 when never scheduled)
+ * @param {Object} record - Flower progress record
+ * @param {Date} now - Reference time
+ * @returns {number} Days until due
+ */
+export function getDaysUntilDue(record, now = new Date()) {
+  const { dueDate } = getSchedule(record);
+  if (!dueDate) return 0;
+  return (new Date(dueDate) - now) / DAY_MS;
+}
+
+/**
+ * Check whether a flower is due for review
+ * @param {Object} record - Flower progress record
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if due now or overdue
+ */
+export function isDue(record, now = new Date()) {
+  return getDaysUntilDue(record, now) <= 0;
+}
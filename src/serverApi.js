@@ -0,0 +1,54 @@
+// Requests to the self-hosted server (server/syncServer.js), used by progress
+// sync and class mode
+export const DEFAULT_SERVER_URL = 'http://localhost:8787';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Make an authorised JSON request to the server
+ * @param {Object} connection - { serverUrl, token }
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under the server URL
+ * @param {Object} body - JSON body, if any
+ * @returns {Promise<Object>} Parsed response
+ * @throws {Error} If the server cannot be reached, refuses the token or reports an error
+ */
+export async function serverRequest({ serverUrl, token }, method, path, body) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(`${serverUrl.replace(/\/+$/, '')}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+  } catch {
+    throw new Error('Server could not be reached');
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (response.status === 401) {
+    throw new Error('The server did not accept the token');
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Server error (${response.status})`);
+  }
+  return data;
+}
+
+/**
+ * Check a server address typed by the user
+ * @param {string} serverUrl - Address
+ * @returns {boolean} True if it is an http(s) URL
+ */
+export function isServerUrl(serverUrl) {
+  return /^https?:\/\/\S+$/.test(serverUrl);
+}
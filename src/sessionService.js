@@ -0,0 +1,127 @@
+// The quiz in progress, saved after every answer so a reload or an accidental
+// "Back" can pick it up again without reloading its images
+import { withDisplayUrl } from './imageCache';
+import { profileKey } from './profileService';
+
+const SESSION_KEY = 'floral_quiz_session';
+
+// Bump when the saved shape changes; older sessions are discarded
+const SESSION_VERSION = 1;
+
+/**
+ * Image record without its display URL (blob: URLs do not survive a reload)
+ * @param {Object|null} image - Image record
+ * @returns {Object|null} Image record to store
+ */
+function toStoredImage(image) {
+  if (!image) return null;
+  const { src, ...stored } = image;
+  return stored;
+}
+
+/**
+ * Question in storable form, with the flower as an id
+ * @param {Object} question - Quiz question
+ * @returns {Object} Stored question
+ */
+function toStoredQuestion(question) {
+  return {
+    ...question,
+    flower: question.flower.id,
+    image: toStoredImage(question.image),
+    ...(question.type === 'reverse' && {
+      options: question.options.map(option => ({ ...option, image: toStoredImage(option.image) }))
+    })
+  };
+}
+
+/**
+ * Save the quiz in progress
+ * @param {Object} session - { questions, results, score, isReviewMode } as held by the quiz screen
+ */
+export function saveQuizSession({ questions, results, score, isReviewMode }) {
+  localStorage.setItem(profileKey(SESSION_KEY), JSON.stringify({
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    isReviewMode,
+    score,
+    questions: questions.map(toStoredQuestion),
+    // Questions are answered in order, so result i belongs to question i
+    results: results.map(({ question, confusedWith, ...outcome }) => ({
+      ...outcome,
+      confusedWith: confusedWith?.id ?? null
+    }))
+  }));
+}
+
+/**
+ * Read the saved session, if it is usable
+ * @returns {Object|null} Stored session
+ */
+function readStoredSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(profileKey(SESSION_KEY)));
+    if (session?.version !== SESSION_VERSION || !Array.isArray(session.questions)) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * How far the saved quiz got, for the start screen
+ * @returns {Object|null} { answered, total, savedAt } or null if there is nothing to resume
+ */
+export function getQuizSessionInfo() {
+  const session = readStoredSession();
+  if (!session || session.results.length >= session.questions.length) return null;
+  return { answered: session.results.length, total: session.questions.length, savedAt: session.savedAt };
+}
+
+/**
+ * Load the saved quiz, ready to show again
+ * @param {Array} allFlowers - Whole catalog, to turn stored ids back into flowers
+ * @returns {Promise<Object|null>} { questions, results, score, isReviewMode }, or null
+ *   if there is no session or a flower in it has since been removed
+ */
+export async function loadQuizSession(allFlowers) {
+  const session = readStoredSession();
+  if (!session) return null;
+
+  const byId = new Map(allFlowers.map(flower => [flower.id, flower]));
+  if (session.questions.some(question => !byId.has(question.flower))) {
+    clearQuizSession();
+    return null;
+  }
+
+  const withDisplay = image => image ? withDisplayUrl(image) : null;
+  const questions = await Promise.all(session.questions.map(async stored => ({
+    ...stored,
+    flower: byId.get(stored.flower),
+    image: await withDisplay(stored.image),
+    ...(stored.type === 'reverse' && {
+      options: await Promise.all(stored.options.map(async option => ({
+        ...option,
+        image: await withDisplay(option.image)
+      })))
+    })
+  })));
+
+  return {
+    questions,
+    results: session.results.map((outcome, i) => ({
+      ...outcome,
+      question: questions[i],
+      confusedWith: byId.get(outcome.confusedWith) || null
+    })),
+    score: session.score,
+    isReviewMode: session.isReviewMode
+  };
+}
+
+/**
+ * Forget the saved quiz, e.g. once it is finished
+ */
+export function clearQuizSession() {
+  localStorage.removeItem(profileKey(SESSION_KEY));
+}
@@ -1,6 +1,7 @@
 // Local storage service for tracking flower learning progress
-
-const STORAGE_KEY = 'floral_quiz_progress';
+import { DEFAULT_EASE, ReviewQuality, getSchedule, scheduleReview, getDaysUntilDue } from './scheduler';
+import { readProgress, writeRecord, replaceProgress } from './progressStore';
+import { queueSyncRecords } from './syncService';
 
 export const MasteryStage = {
   FLASHCARD: 'flashcard',
@@ -10,124 +11,165 @@ export const MasteryStage = {
   MASTERY: 'mastery'
 };
 
+export const STAGE_ORDER = [
+  MasteryStage.FLASHCARD,
+  MasteryStage.MULTIPLE_CHOICE,
+  MasteryStage.SHORT_ANSWER,
+  MasteryStage.SCIENTIFIC_NAME,
+  MasteryStage.MASTERY
+];
+
+// Review interval (days) a flower must reach before leaving each stage
+export const STAGE_PROMOTION_INTERVAL = {
+  [MasteryStage.FLASHCARD]: 1,
+  [MasteryStage.MULTIPLE_CHOICE]: 3,
+  [MasteryStage.SHORT_ANSWER]: 7,
+  [MasteryStage.SCIENTIFIC_NAME]: 21
+};
+
+// Per-part results of typed scientific names
+const EMPTY_SCIENTIFIC_STATS = {
+  attempts: 0,
+  genusCorrect: 0,
+  epithetAttempts: 0, // Only binomials have an epithet to score
+  epithetCorrect: 0
+};
+
 /**
- * Get the progress data for all flowers
- * @returns {Object} Progress data indexed by flower scientific name
+ * Get the progress data for all flowers (shared in-memory copy - don't modify it)
+ * @returns {Object} Progress data indexed by flower id
  */
 export function getProgress() {
-  const data = localStorage.getItem(STORAGE_KEY);
-  return data ? JSON.parse(data) : {};
+  return readProgress();
 }
 
 /**
- * Initialize progress for a flower if it doesn't exist
- * @param {string} scientificName - The flower's scientific name
+ * Save a record changed by an answer, stamped so sync can tell which copy is newer
+ * @param {string} flowerId - The flower's id
+ * @param {Object} record - Changed record (stamped in place)
  */
-function initializeFlower(scientificName) {
-  const progress = getProgress();
-  if (!progress[scientificName]) {
-    progress[scientificName] = {
-      stage: MasteryStage.FLASHCARD,
-      correctCount: 0,
-      incorrectCount: 0,
-      stageCorrectCount: 0, // Views/correct answers in current stage
-      lastSeen: null,
-      flaggedForReview: false,
-      isNew: true // Never been seen before
-    };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
-  }
-  // Ensure isNew field exists for older data
-  else if (!progress[scientificName].hasOwnProperty('isNew')) {
-    progress[scientificName].isNew = false;
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
-  }
-  return progress[scientificName];
+function saveChangedRecord(flowerId, record) {
+  record.updatedAt = new Date().toISOString();
+  writeRecord(flowerId, record);
+  queueSyncRecords([flowerId]);
+}
+
+/**
+ * Progress record for a flower that has never been answered
+ * @returns {Object} New record (not saved)
+ */
+function newFlowerRecord() {
+  return {
+    stage: MasteryStage.FLASHCARD,
+    correctCount: 0,
+    incorrectCount: 0,
+    lastSeen: null,
+    ease: DEFAULT_EASE,
+    interval: 0, // Days between reviews
+    repetitions: 0, // Consecutive successful reviews
+    lapses: 0,
+    dueDate: null,
+    flaggedForReview: false,
+    isNew: true // Never been seen before
+  };
 }
 
 /**
- * Get progress for a specific flower
- * @param {string} scientificName - The flower's scientific name
+ * Get progress for a specific flower. Reading never saves anything (it is
+ * called while rendering); a flower's record is stored on its first answer.
+ * @param {string} flowerId - The flower's id
  * @returns {Object} Progress data for the flower
  */
-export function getFlowerProgress(scientificName) {
-  const progress = getProgress();
-  return progress[scientificName] || initializeFlower(scientificName);
+export function getFlowerProgress(flowerId) {
+  return getProgress()[flowerId] || newFlowerRecord();
 }
 
 /**
  * Record a correct answer for a flower
- * @param {string} scientificName - The flower's scientific name
+ * @param {string} flowerId - The flower's id
+ * @param {number} quality - Answer quality on the SM-2 scale (defaults to GOOD)
  */
-export function recordCorrectAnswer(scientificName) {
-  const progress = getProgress();
-  const flowerData = progress[scientificName] || initializeFlower(scientificName);
+export function recordCorrectAnswer(flowerId, quality = ReviewQuality.GOOD) {
+  const flowerData = { ...getFlowerProgress(flowerId) };
+  const now = new Date();
 
-  console.log(`📊 BEFORE recording correct for ${scientificName}:`, {
+  console.log(`📊 BEFORE recording correct for ${flowerId}:`, {
     stage: flowerData.stage,
-    stageCorrectCount: flowerData.stageCorrectCount
+    ...getSchedule(flowerData)
   });
 
+  Object.assign(flowerData, scheduleReview(flowerData, quality, now));
   flowerData.correctCount++;
-  flowerData.stageCorrectCount++;
-  flowerData.lastSeen = new Date().toISOString();
+  flowerData.lastSeen = now.toISOString();
   flowerData.flaggedForReview = false;
   flowerData.isNew = false;
 
-  // Check for stage progression
-  const stage = flowerData.stage;
-  const stageCorrect = flowerData.stageCorrectCount;
-
-  console.log(`🔍 Checking progression: stage=${stage}, stageCorrect=${stageCorrect}`);
-
-  if (stage === MasteryStage.FLASHCARD && stageCorrect >= 2) {
-    console.log(`⬆️ ADVANCING from Flashcard to Multiple Choice!`);
-    flowerData.stage = MasteryStage.MULTIPLE_CHOICE;
-    flowerData.stageCorrectCount = 0;
-  } else if (stage === MasteryStage.MULTIPLE_CHOICE && stageCorrect >= 2) {
-    console.log(`⬆️ ADVANCING from Multiple Choice to Short Answer!`);
-    flowerData.stage = MasteryStage.SHORT_ANSWER;
-    flowerData.stageCorrectCount = 0;
-  } else if (stage === MasteryStage.SHORT_ANSWER && stageCorrect >= 2) {
-    console.log(`⬆️ ADVANCING from Short Answer to Scientific Name!`);
-    flowerData.stage = MasteryStage.SCIENTIFIC_NAME;
-    flowerData.stageCorrectCount = 0;
-  } else if (stage === MasteryStage.SCIENTIFIC_NAME && stageCorrect >= 2) {
-    console.log(`⬆️ ADVANCING from Scientific Name to Mastery!`);
-    flowerData.stage = MasteryStage.MASTERY;
-    flowerData.stageCorrectCount = 0;
+  // Advance one stage once the review interval has grown past the stage's threshold
+  const threshold = STAGE_PROMOTION_INTERVAL[flowerData.stage];
+  if (threshold !== undefined && flowerData.interval >= threshold) {
+    const nextStage = STAGE_ORDER[STAGE_ORDER.indexOf(flowerData.stage) + 1];
+    console.log(`⬆️ ADVANCING from ${flowerData.stage} to ${nextStage}!`);
+    flowerData.stage = nextStage;
   }
 
-  console.log(`📊 AFTER progression check for ${scientificName}:`, {
+  console.log(`📊 AFTER progression check for ${flowerId}:`, {
     stage: flowerData.stage,
-    stageCorrectCount: flowerData.stageCorrectCount
+    interval: flowerData.interval,
+    dueDate: flowerData.dueDate
   });
 
-  progress[scientificName] = flowerData;
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  saveChangedRecord(flowerId, flowerData);
 
   return flowerData;
 }
 
 /**
  * Record an incorrect answer for a flower
- * @param {string} scientificName - The flower's scientific name
+ * @param {string} flowerId - The flower's id
  */
-export function recordIncorrectAnswer(scientificName) {
-  const progress = getProgress();
-  const flowerData = progress[scientificName] || initializeFlower(scientificName);
+export function recordIncorrectAnswer(flowerId) {
+  const flowerData = { ...getFlowerProgress(flowerId) };
+  const now = new Date();
 
+  Object.assign(flowerData, scheduleReview(flowerData, ReviewQuality.FORGOT, now));
   flowerData.incorrectCount++;
-  flowerData.lastSeen = new Date().toISOString();
+  flowerData.lastSeen = now.toISOString();
   flowerData.flaggedForReview = true;
   flowerData.isNew = false;
 
-  progress[scientificName] = flowerData;
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  // A forgotten "mastered" flower has to earn mastery again
+  if (flowerData.stage === MasteryStage.MASTERY) {
+    flowerData.stage = MasteryStage.SCIENTIFIC_NAME;
+  }
+
+  saveChangedRecord(flowerId, flowerData);
 
   return flowerData;
 }
 
+/**
+ * Record how the genus and specific epithet of a typed scientific name scored
+ * @param {string} flowerId - The flower's id
+ * @param {Object} parts - { genus: boolean, epithet: boolean|null } (epithet is null for genus-only names)
+ * @returns {Object} Updated scientific name stats { attempts, genusCorrect, epithetAttempts, epithetCorrect }
+ */
+export function recordScientificNameParts(flowerId, { genus, epithet }) {
+  const flowerData = { ...getFlowerProgress(flowerId) };
+  const stats = { ...EMPTY_SCIENTIFIC_STATS, ...flowerData.scientificStats };
+
+  stats.attempts++;
+  if (genus) stats.genusCorrect++;
+  if (epithet !== null) {
+    stats.epithetAttempts++;
+    if (epithet) stats.epithetCorrect++;
+  }
+
+  flowerData.scientificStats = stats;
+  saveChangedRecord(flowerId, flowerData);
+
+  return stats;
+}
+
 /**
  * Get flowers that need review (flagged or never seen)
  * @param {Array} allFlowers - Array of all flower objects
@@ -136,13 +178,13 @@ export function recordIncorrectAnswer(scientificName) {
 export function getFlowersNeedingReview(allFlowers) {
   const progress = getProgress();
   return allFlowers.filter(flower => {
-    const flowerProgress = progress[flower.scientific];
+    const flowerProgress = progress[flower.id];
     return !flowerProgress || flowerProgress.flaggedForReview;
   });
 }
 
 /**
- * Smart quiz flower selection using 4-tier priority system
+ * Smart quiz flower selection driven by the spaced-repetition schedule
  * @param {Array} allFlowers - Array of all flower objects
  * @param {number} count - Number of flowers to return
  * @returns {Array} Prioritized flowers for quiz
@@ -151,20 +193,19 @@ export function getSmartQuizFlowers(allFlowers, count) {
   const progress = getProgress();
   const now = new Date();
 
-  // Categorize flowers into tiers
-  const tier1 = []; // Critical review: failed recently or overdue
-  const tier2 = []; // Active learning: in progress, weighted by priority
-  const tier3 = []; // New introductions: never seen
-  const tier4 = []; // Mastery maintenance: mastered flowers
+  // Categorize flowers by schedule
+  const due = [];      // Due or overdue reviews (includes recently failed)
+  const fresh = [];    // New introductions: never seen
+  const upcoming = []; // Scheduled for later, used only to fill the quiz
 
   let earlyStageCount = 0; // Count flowers in flashcard/mc stages
 
   allFlowers.forEach(flower => {
-    const flowerProgress = progress[flower.scientific];
+    const flowerProgress = progress[flower.id];
 
     // New flowers (never seen)
     if (!flowerProgress || flowerProgress.isNew) {
-      tier3.push({ flower, score: flower.listPriority * 10 }); // Lower priority number = higher score
+      fresh.push({ flower, score: -flower.listPriority }); // Lower priority number = higher score
       return;
     }
 
@@ -174,101 +215,51 @@ export function getSmartQuizFlowers(allFlowers, count) {
       earlyStageCount++;
     }
 
-    // Tier 1: Critical review (flagged for review)
-    if (flowerProgress.flaggedForReview) {
-      let score = 1000; // High base priority
+    const daysUntilDue = getDaysUntilDue(flowerProgress, now);
 
-      // Recently failed gets highest priority
-      const hoursSince = (Date.now() - new Date(flowerProgress.lastSeen)) / (1000 * 60 * 60);
-      score += (24 - Math.min(hoursSince, 24)) * 10; // More recent = higher score
+    if (daysUntilDue <= 0) {
+      const { interval } = getSchedule(flowerProgress);
 
-      tier1.push({ flower, score });
-    }
-    // Tier 4: Mastery (fully learned)
-    else if (flowerProgress.stage === MasteryStage.MASTERY) {
-      let score = 10;
-      // Less recently seen mastered items get slight priority
-      if (flowerProgress.lastSeen) {
-        const daysSince = (Date.now() - new Date(flowerProgress.lastSeen)) / (1000 * 60 * 60 * 24);
-        score += Math.min(daysSince, 14);
-      }
-      tier4.push({ flower, score });
-    }
-    // Tier 2: Active learning (in progress)
-    else {
-      let score = 500; // Medium base priority
-
-      // Weight by list priority (lower number = higher priority)
-      score += (4 - flower.listPriority) * 100;
-
-      // Balanced stage boost - ensures all stages appear, with slight preference for earlier stages
-      const stageBoost = {
-        flashcard: 30,
-        mc: 25,
-        short: 20,
-        scientific: 15
-      };
-      score += stageBoost[flowerProgress.stage] || 0;
-
-      // Time since last seen is now more important for stage distribution
-      if (flowerProgress.lastSeen) {
-        const daysSince = (Date.now() - new Date(flowerProgress.lastSeen)) / (1000 * 60 * 60 * 24);
-        score += Math.min(daysSince * 10, 60); // Increased weight for time-based selection
-      } else {
-        // Never seen before - high priority
-        score += 40;
-      }
-
-      tier2.push({ flower, score });
+      // Most overdue relative to the interval comes first - those are being forgotten
+      let score = -daysUntilDue / Math.max(interval, 1);
+      if (flowerProgress.flaggedForReview) score += 10;
+      score += (4 - flower.listPriority) * 0.1;
+
+      due.push({ flower, score });
+    } else {
+      upcoming.push({ flower, score: -daysUntilDue }); // Soonest due first
     }
   });
 
-  // Sort each tier by score
-  tier1.sort((a, b) => b.score - a.score);
-  tier2.sort((a, b) => b.score - a.score);
-  tier3.sort((a, b) => b.score - a.score);
-  tier4.sort((a, b) => b.score - a.score);
+  due.sort((a, b) => b.score - a.score);
+  fresh.sort((a, b) => b.score - a.score);
+  upcoming.sort((a, b) => b.score - a.score);
 
-  // Calculate tier limits
-  const maxTier1 = Math.ceil(count * 0.4); // 40% max for critical review
-  const maxTier2 = Math.ceil(count * 0.4); // 40% max for active learning
-  const maxTier3New = Math.min(5, Math.ceil(count * 0.3)); // Max 5 new per quiz, 30% max
+  const maxNew = Math.min(5, Math.ceil(count * 0.3)); // Max 5 new per quiz, 30% max
 
   // Don't introduce new flowers if too many in early stages
   const shouldIntroduceNew = earlyStageCount <= 10;
 
-  // Select flowers from tiers
   const selected = [];
 
-  // Tier 1: Critical review (up to 40%)
-  const tier1Count = Math.min(tier1.length, maxTier1);
-  selected.push(...tier1.slice(0, tier1Count).map(s => s.flower));
+  // Due reviews first
+  selected.push(...due.slice(0, count).map(s => s.flower));
 
-  // Tier 2: Active learning (up to 40%)
-  const remaining = count - selected.length;
-  const tier2Count = Math.min(tier2.length, Math.min(maxTier2, remaining));
-  selected.push(...tier2.slice(0, tier2Count).map(s => s.flower));
-
-  // Tier 3: New introductions (up to 30%, max 5, only if not too many early)
+  // New introductions (up to 30%, max 5, only if not too many early)
   if (shouldIntroduceNew && selected.length < count) {
-    const remainingAfterT2 = count - selected.length;
-    const tier3Count = Math.min(tier3.length, Math.min(maxTier3New, remainingAfterT2));
-    selected.push(...tier3.slice(0, tier3Count).map(s => s.flower));
+    const newCount = Math.min(maxNew, count - selected.length);
+    selected.push(...fresh.slice(0, newCount).map(s => s.flower));
   }
 
-  // Tier 4: Fill remaining with mastery maintenance
-  if (selected.length < count && tier4.length > 0) {
-    const remainingSlots = count - selected.length;
-    selected.push(...tier4.slice(0, remainingSlots).map(s => s.flower));
+  // Fill with the flowers coming due soonest
+  if (selected.length < count) {
+    selected.push(...upcoming.slice(0, count - selected.length).map(s => s.flower));
   }
 
   // If still not enough, fill with any remaining flowers
   if (selected.length < count) {
-    const allRemaining = [...tier2, ...tier3, ...tier4]
-      .filter(s => !selected.includes(s.flower))
-      .sort((a, b) => b.score - a.score);
-    const needed = count - selected.length;
-    selected.push(...allRemaining.slice(0, needed).map(s => s.flower));
+    const allRemaining = fresh.filter(s => !selected.includes(s.flower));
+    selected.push(...allRemaining.slice(0, count - selected.length).map(s => s.flower));
   }
 
   // Shuffle to avoid predictable patterns
@@ -300,7 +291,7 @@ export function getPrioritizedFlowers(allFlowers, count) {
 
   // Score each flower (lower score = higher priority)
   const scored = allFlowers.map(flower => {
-    const flowerProgress = progress[flower.scientific];
+    const flowerProgress = progress[flower.id];
 
     if (!flowerProgress) {
       return { flower, score: 0 }; // Never seen - highest priority
@@ -348,7 +339,7 @@ export function getAllFlowerStats(allFlowers) {
   const progress = getProgress();
 
   return allFlowers.map(flower => {
-    const flowerProgress = progress[flower.scientific];
+    const flowerProgress = progress[flower.id];
 
     if (!flowerProgress) {
       return {
@@ -356,51 +347,137 @@ export function getAllFlowerStats(allFlowers) {
         stage: MasteryStage.FLASHCARD,
         correctCount: 0,
         incorrectCount: 0,
-        stageCorrectCount: 0,
         successRate: 0,
         needsReview: true,
-        lastSeen: null
+        lastSeen: null,
+        ease: DEFAULT_EASE,
+        interval: 0,
+        dueDate: null,
+        scientificStats: EMPTY_SCIENTIFIC_STATS
       };
     }
 
     const total = flowerProgress.correctCount + flowerProgress.incorrectCount;
     const successRate = total > 0 ? (flowerProgress.correctCount / total) * 100 : 0;
+    const schedule = getSchedule(flowerProgress);
 
     return {
       flower,
       stage: flowerProgress.stage,
       correctCount: flowerProgress.correctCount,
       incorrectCount: flowerProgress.incorrectCount,
-      stageCorrectCount: flowerProgress.stageCorrectCount,
       successRate: Math.round(successRate),
       needsReview: flowerProgress.flaggedForReview,
-      lastSeen: flowerProgress.lastSeen
+      lastSeen: flowerProgress.lastSeen,
+      ease: schedule.ease,
+      interval: schedule.interval,
+      dueDate: schedule.dueDate,
+      scientificStats: { ...EMPTY_SCIENTIFIC_STATS, ...flowerProgress.scientificStats }
     };
   });
 }
 
 /**
- * Clear all progress data
+ * Clear all progress data on this device (a sync server keeps its copy)
  */
 export function clearAllProgress() {
-  localStorage.removeItem(STORAGE_KEY);
+  replaceProgress({});
+}
+
+/**
+ * Check a stored flower record for the fields the app relies on
+ * @param {string} flowerId - Key of the record
+ * @param {Object} record - Flower progress record
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateProgressRecord(flowerId, record) {
+  const errors = [];
+  const isCount = value => Number.isInteger(value) && value >= 0;
+  const isDate = value => value === null || value === undefined || !Number.isNaN(Date.parse(value));
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [`${flowerId}: not a progress record`];
+  }
+  if (!STAGE_ORDER.includes(record.stage)) {
+    errors.push(`${flowerId}: unknown stage "${record.stage}"`);
+  }
+  if (!isCount(record.correctCount) || !isCount(record.incorrectCount)) {
+    errors.push(`${flowerId}: answer counts must be whole numbers`);
+  }
+  ['ease', 'interval', 'repetitions', 'lapses'].forEach(field => {
+    if (record[field] !== undefined && !(typeof record[field] === 'number' && record[field] >= 0)) {
+      errors.push(`${flowerId}: invalid ${field}`);
+    }
+  });
+  if (!isDate(record.lastSeen) || !isDate(record.dueDate) || !isDate(record.updatedAt)) {
+    errors.push(`${flowerId}: invalid date`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check a whole progress object
+ * @param {Object} data - Progress data indexed by flower id
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateProgressData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Progress data must be an object keyed by flower id'];
+  }
+  return Object.entries(data).flatMap(([name, record]) => validateProgressRecord(name, record));
+}
+
+/**
+ * Choose between two records for the same flower when merging progress:
+ * the more advanced stage wins, then the more recently seen record
+ * @param {Object} local - Record on this device
+ * @param {Object} incoming - Record from a backup
+ * @returns {Object} The record to keep
+ */
+export function pickNewerRecord(local, incoming) {
+  if (!local) return incoming;
+  if (!incoming) return local;
+
+  const stageDiff = STAGE_ORDER.indexOf(incoming.stage) - STAGE_ORDER.indexOf(local.stage);
+  if (stageDiff !== 0) return stageDiff > 0 ? incoming : local;
+
+  const localSeen = local.lastSeen ? Date.parse(local.lastSeen) : 0;
+  const incomingSeen = incoming.lastSeen ? Date.parse(incoming.lastSeen) : 0;
+  return incomingSeen > localSeen ? incoming : local;
+}
+
+/**
+ * Replace all progress data (callers validate first). Every record is queued
+ * for sync, so restored progress reaches the sync server too.
+ * @param {Object} data - Progress data indexed by flower id
+ */
+export function setProgress(data) {
+  replaceProgress(data);
+  queueSyncRecords(Object.keys(data));
 }
 
 /**
  * Export progress data as JSON string
  */
 export function exportProgress() {
-  return localStorage.getItem(STORAGE_KEY) || '{}';
+  return JSON.stringify(getProgress());
 }
 
 /**
- * Import progress data from JSON string
+ * Import progress data from JSON string, rejecting malformed records
  * @param {string} jsonData - JSON string of progress data
+ * @returns {boolean} True if the data was valid and imported
  */
 export function importProgress(jsonData) {
   try {
     const data = JSON.parse(jsonData);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    const errors = validateProgressData(data);
+    if (errors.length > 0) {
+      console.error('Failed to import progress:', errors);
+      return false;
+    }
+    setProgress(data);
     return true;
   } catch (error) {
     console.error('Failed to import progress:', error);
@@ -0,0 +1,62 @@
+// Merging of one flower's progress records from two devices. Shared by the
+// sync client and the sync server, so it must not use browser APIs.
+
+// Counters only ever grow, so the larger value is never behind either copy
+const COUNTER_FIELDS = ['correctCount', 'incorrectCount', 'lapses'];
+
+/**
+ * Time a record was last changed by an answer
+ * @param {Object} record - Progress record
+ * @returns {number} Milliseconds since the epoch (0 if never stamped)
+ */
+function changedAt(record) {
+  return record.updatedAt ? Date.parse(record.updatedAt) || 0 : 0;
+}
+
+/**
+ * Merge two versions of a flower's progress record. The schedule (stage,
+ * interval, due date...) comes from the most recently changed version -
+ * last writer wins - while answer counters keep the larger value. Counters
+ * are not added up, so when both devices answered the same flower between
+ * syncs, the total only counts one device's answers.
+ * @param {Object|undefined} local - Version already held
+ * @param {Object|undefined} incoming - Version received
+ * @returns {Object} Merged record (local wins ties)
+ */
+export function mergeProgressRecords(local, incoming) {
+  if (!local) return incoming;
+  if (!incoming) return local;
+
+  const incomingIsNewer = changedAt(incoming) > changedAt(local);
+  const [older, newer] = incomingIsNewer ? [local, incoming] : [incoming, local];
+  const merged = { ...older, ...newer };
+
+  COUNTER_FIELDS.forEach(field => {
+    if (typeof older[field] === 'number' && typeof newer[field] === 'number') {
+      merged[field] = Math.max(older[field], newer[field]);
+    }
+  });
+
+  if (older.scientificStats && newer.scientificStats) {
+    merged.scientificStats = { ...older.scientificStats, ...newer.scientificStats };
+    Object.keys(merged.scientificStats).forEach(field => {
+      merged.scientificStats[field] = Math.max(older.scientificStats[field] || 0, newer.scientificStats[field] || 0);
+    });
+  }
+
+  return merged;
+}
+
+/**
+ * Check whether two records hold the same values, ignoring key order
+ * @param {Object|undefined} a - Record
+ * @param {Object|undefined} b - Record
+ * @returns {boolean} True if equal
+ */
+export function isSameRecord(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => isSameRecord(a[key], b[key]));
+}
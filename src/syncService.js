@@ -0,0 +1,229 @@
+// Optional sync of progress records with a self-hosted server
+// (server/syncServer.js). Changed records are queued per profile and pushed
+// whenever the server can be reached; records changed on other devices are
+// pulled and merged. Without a server configured nothing leaves the device.
+import { readProgress, writeRecord } from './progressStore';
+import { profileKey, getActiveProfileId, subscribeProfile } from './profileService';
+import { mergeProgressRecords, isSameRecord } from './syncMerge';
+import { serverRequest, isServerUrl } from './serverApi';
+
+const SYNC_SETTINGS_KEY = 'floral_quiz_sync'; // { serverUrl, token, cursor, lastSyncedAt, lastError }
+const SYNC_QUEUE_KEY = 'floral_quiz_sync_queue'; // Flower ids changed since they were last pushed
+
+const SYNC_DELAY_MS = 5000; // Wait after a change so a quiz's answers go up together
+const SYNC_INTERVAL_MS = 2 * 60 * 1000; // Pull other devices' changes this often
+
+let syncTimer = null;
+let syncInProgress = null; // Promise of the running sync
+const listeners = new Set();
+
+/**
+ * Tell subscribers the sync status changed
+ */
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Get the active profile's sync settings
+ * @returns {Object|null} { serverUrl, token, cursor, lastSyncedAt, lastError }, or null if sync is off
+ */
+function getSyncSettings() {
+  const data = localStorage.getItem(profileKey(SYNC_SETTINGS_KEY));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Save the active profile's sync settings
+ * @param {Object} settings - Sync settings
+ */
+function saveSyncSettings(settings) {
+  localStorage.setItem(profileKey(SYNC_SETTINGS_KEY), JSON.stringify(settings));
+}
+
+/**
+ * Get the ids of records waiting to be pushed
+ * @returns {Array<string>} Flower ids
+ */
+function getSyncQueue() {
+  const data = localStorage.getItem(profileKey(SYNC_QUEUE_KEY));
+  return data ? JSON.parse(data) : [];
+}
+
+/**
+ * Save the ids of records waiting to be pushed
+ * @param {Array<string>} ids - Flower ids
+ */
+function saveSyncQueue(ids) {
+  localStorage.setItem(profileKey(SYNC_QUEUE_KEY), JSON.stringify(ids));
+}
+
+/**
+ * Get the sync status for display
+ * @returns {Object} { enabled, serverUrl, pending, lastSyncedAt, lastError, syncing }
+ */
+export function getSyncStatus() {
+  const settings = getSyncSettings();
+  return {
+    enabled: settings !== null,
+    serverUrl: settings?.serverUrl ?? null,
+    pending: settings ? getSyncQueue().length : 0,
+    lastSyncedAt: settings?.lastSyncedAt ?? null,
+    lastError: settings?.lastError ?? null,
+    syncing: syncInProgress !== null
+  };
+}
+
+/**
+ * Sync soon, so several changes in a row go up in one request
+ */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncNow, SYNC_DELAY_MS);
+}
+
+/**
+ * Queue changed records to be pushed to the sync server. Does nothing while sync is off.
+ * @param {Array<string>} flowerIds - Ids of changed records
+ */
+export function queueSyncRecords(flowerIds) {
+  if (getSyncSettings() === null || flowerIds.length === 0) return;
+
+  saveSyncQueue([...new Set([...getSyncQueue(), ...flowerIds])]);
+  scheduleSync();
+  notify();
+}
+
+/**
+ * Push queued records, then pull and merge records changed elsewhere
+ * @param {string} profileId - Profile being synced
+ * @param {Object} settings - Its sync settings
+ * @returns {Promise<Object>} Settings after the sync
+ */
+async function pushAndPull(profileId, settings) {
+  const pushed = readProgress();
+  const records = Object.fromEntries(
+    getSyncQueue().filter(id => pushed[id]).map(id => [id, pushed[id]])
+  );
+  if (Object.keys(records).length > 0) {
+    await serverRequest(settings, 'POST', '/api/progress', { records });
+  }
+
+  const { records: remote, cursor } = await serverRequest(
+    settings, 'GET', `/api/progress?since=${encodeURIComponent(settings.cursor)}`
+  );
+  if (getActiveProfileId() !== profileId) {
+    throw new Error('Profile changed during sync');
+  }
+
+  // Records answered again while the request was out stay queued
+  const current = readProgress();
+  const requeue = getSyncQueue().filter(id => current[id] && current[id] !== records[id]);
+
+  Object.entries(remote).forEach(([id, record]) => {
+    const local = readProgress()[id];
+    const merged = mergeProgressRecords(local, record);
+    if (!isSameRecord(merged, local)) writeRecord(id, merged);
+    if (!isSameRecord(merged, record) && !requeue.includes(id)) requeue.push(id);
+  });
+
+  saveSyncQueue(requeue);
+  return { ...settings, cursor, lastSyncedAt: new Date().toISOString(), lastError: null };
+}
+
+/**
+ * Sync the active profile now. Failures are kept in the status (the queue
+ * is kept too, so nothing is lost while offline).
+ * @returns {Promise<void>}
+ */
+export function syncNow() {
+  clearTimeout(syncTimer);
+  if (syncInProgress) return syncInProgress;
+
+  const settings = getSyncSettings();
+  if (settings === null) return Promise.resolve();
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    saveSyncSettings({ ...settings, lastError: 'Offline - changes will sync when you reconnect' });
+    notify();
+    return Promise.resolve();
+  }
+
+  const profileId = getActiveProfileId();
+  syncInProgress = pushAndPull(profileId, settings)
+    .catch(error => ({ ...settings, lastError: error.message }))
+    .then(updated => {
+      // A profile switched mid-sync keeps its own settings
+      if (getActiveProfileId() === profileId && getSyncSettings() !== null) {
+        saveSyncSettings(updated);
+      }
+    })
+    .finally(() => {
+      syncInProgress = null;
+      notify();
+    });
+
+  notify();
+  return syncInProgress;
+}
+
+/**
+ * Turn sync on for the active profile. All of its progress is queued, so the
+ * first sync uploads this device's records and downloads the server's.
+ * @param {string} serverUrl - Server address, e.g. http://localhost:8787
+ * @param {string} token - Access token configured on the server
+ * @returns {Promise<void>} Rejects if the first sync fails, e.g. the server refuses the token
+ */
+export async function connectSync(serverUrl, token) {
+  const settings = { serverUrl: serverUrl.trim(), token: token.trim(), cursor: 0, lastSyncedAt: null, lastError: null };
+  if (!isServerUrl(settings.serverUrl)) {
+    throw new Error('Server address must start with http:// or https://');
+  }
+  if (!settings.token) {
+    throw new Error('Access token is required');
+  }
+
+  saveSyncSettings(settings);
+  saveSyncQueue(Object.keys(readProgress()));
+  await syncNow();
+
+  // A first sync that fails means a wrong address or token, so don't keep them
+  const { lastError } = getSyncStatus();
+  if (lastError) {
+    disconnectSync();
+    throw new Error(lastError);
+  }
+}
+
+/**
+ * Turn sync off for the active profile. Progress stays on this device and on the server.
+ */
+export function disconnectSync() {
+  clearTimeout(syncTimer);
+  localStorage.removeItem(profileKey(SYNC_SETTINGS_KEY));
+  localStorage.removeItem(profileKey(SYNC_QUEUE_KEY));
+  notify();
+}
+
+/**
+ * Listen for sync status changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeSync(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Sync on startup, when the device comes back online, when the profile
+ * changes and every few minutes while the app is open
+ */
+export function startSync() {
+  syncNow();
+  window.addEventListener('online', syncNow);
+  setInterval(syncNow, SYNC_INTERVAL_MS);
+  subscribeProfile(() => {
+    notify();
+    syncNow();
+  });
+}
@@ -0,0 +1,12 @@
+// React hook for the progress store
+import { useSyncExternalStore } from 'react';
+import { subscribeProgress, readProgress } from './progressStore';
+
+/**
+ * Get the progress data, re-rendering the component whenever it changes
+ * (including changes made in another tab)
+ * @returns {Object} Progress data indexed by flower id
+ */
+export function useProgress() {
+  return useSyncExternalStore(subscribeProgress, readProgress);
+}
@@ -1,14 +1,87 @@
 // Service to fetch random flower images from Wikimedia Commons
+import { getBannedImages } from './imageCuration';
+
+// API endpoints (override to point at a mirror)
+const WIKIPEDIA_API = import.meta.env.VITE_WIKIPEDIA_API || 'https://en.wikipedia.org/w/api.php';
+const COMMONS_API = import.meta.env.VITE_COMMONS_API || 'https://commons.wikimedia.org/w/api.php';
+
+/**
+ * Strip markup from an extmetadata value (Artist is often an HTML link)
+ * @param {string} html - Metadata value
+ * @returns {string} Plain text
+ */
+function toPlainText(html) {
+  if (!html) return '';
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return doc.body.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Look up a file's URL, size and licence metadata
+ * @param {string} api - API endpoint to query
+ * @param {string} imageTitle - File title, e.g. "File:Protea cynaroides.jpg"
+ * @param {string} provider - Provider id recorded on the image
+ * @returns {Promise<Object|null>} Image record or null if unusable
+ */
+async function fetchImageRecord(api, imageTitle, provider) {
+  const imageInfoUrl = `${api}?` +
+    `action=query&` +
+    `format=json&` +
+    `titles=${encodeURIComponent(imageTitle)}&` +
+    `prop=imageinfo&` +
+    `iiprop=url|size|extmetadata&` +
+    `iiextmetadatafilter=Artist|Credit|LicenseShortName|LicenseUrl|UsageTerms&` +
+    `iiurlwidth=800&` +
+    `origin=*`;
+
+  const imageInfoResponse = await fetch(imageInfoUrl);
+  const imageInfoData = await imageInfoResponse.json();
+
+  const pages = imageInfoData.query.pages;
+  const pageId = Object.keys(pages)[0];
+
+  if (!pages[pageId].imageinfo || pages[pageId].imageinfo.length === 0) {
+    return null;
+  }
+
+  const imageInfo = pages[pageId].imageinfo[0];
+
+  // Check dimensions - exclude very small images (likely icons/thumbnails)
+  if (imageInfo.width && imageInfo.height) {
+    if (imageInfo.width < 200 || imageInfo.height < 200) {
+      return null;
+    }
+  }
+
+  const metadata = imageInfo.extmetadata || {};
+  const title = pages[pageId].title || imageTitle;
+
+  // Files shown on Wikipedia usually live on Commons - link to the Commons file page
+  const sourceUrl = imageInfo.url.includes('/wikipedia/commons/')
+    ? `https://commons.wikimedia.org/wiki/${encodeURIComponent(title.replace(/ /g, '_'))}`
+    : imageInfo.descriptionurl;
+
+  return {
+    url: imageInfo.thumburl || imageInfo.url,
+    title,
+    author: toPlainText(metadata.Artist?.value) || toPlainText(metadata.Credit?.value) || 'Unknown',
+    license: metadata.LicenseShortName?.value || metadata.UsageTerms?.value || '',
+    licenseUrl: metadata.LicenseUrl?.value || null,
+    sourceUrl,
+    provider
+  };
+}
 
 /**
  * Fetches a random image for a given flower from Wikimedia Commons
  * @param {string} searchTerm - The flower name to search for
- * @returns {Promise<string|null>} - URL of the image or null if not found
+ * @param {Array<string>} excludeTitles - File titles never to return (reported images)
+ * @returns {Promise<Object|null>} - Image record or null if not found
  */
-export async function fetchFlowerImage(searchTerm) {
+export async function fetchFlowerImage(searchTerm, excludeTitles = []) {
   try {
     // First, search for pages related to the flower
-    const searchUrl = `https://en.wikipedia.org/w/api.php?` +
+    const searchUrl = `${WIKIPEDIA_API}?` +
       `action=query&` +
       `format=json&` +
       `list=search&` +
@@ -28,7 +101,7 @@ export async function fetchFlowerImage(searchTerm) {
     const pageTitle = searchData.query.search[randomIndex].title;
 
     // Get images from that page
-    const imagesUrl = `https://en.wikipedia.org/w/api.php?` +
+    const imagesUrl = `${WIKIPEDIA_API}?` +
       `action=query&` +
       `format=json&` +
       `titles=${encodeURIComponent(pageTitle)}&` +
@@ -49,6 +122,8 @@ export async function fetchFlowerImage(searchTerm) {
     // Filter for actual flower images (avoid icons, logos, diagrams, maps, etc.)
     const imageFiles = pages[pageId].images
       .filter(img => {
+        if (excludeTitles.includes(img.title)) return false;
+
         const name = img.title.toLowerCase();
 
         // Must be a photo format (exclude SVG diagrams)
@@ -95,36 +170,8 @@ export async function fetchFlowerImage(searchTerm) {
     const randomImageIndex = Math.floor(Math.random() * imageFiles.length);
     const imageTitle = imageFiles[randomImageIndex].title;
 
-    // Get the actual image URL
-    const imageInfoUrl = `https://en.wikipedia.org/w/api.php?` +
-      `action=query&` +
-      `format=json&` +
-      `titles=${encodeURIComponent(imageTitle)}&` +
-      `prop=imageinfo&` +
-      `iiprop=url|size&` +
-      `iiurlwidth=800&` +
-      `origin=*`;
-
-    const imageInfoResponse = await fetch(imageInfoUrl);
-    const imageInfoData = await imageInfoResponse.json();
-
-    const imagePages = imageInfoData.query.pages;
-    const imagePageId = Object.keys(imagePages)[0];
-
-    if (imagePages[imagePageId].imageinfo && imagePages[imagePageId].imageinfo.length > 0) {
-      const imageInfo = imagePages[imagePageId].imageinfo[0];
-
-      // Check dimensions - exclude very small images (likely icons/thumbnails)
-      if (imageInfo.width && imageInfo.height) {
-        if (imageInfo.width < 200 || imageInfo.height < 200) {
-          return null;
-        }
-      }
-
-      return imageInfo.thumburl || imageInfo.url;
-    }
-
-    return null;
+    // Get the actual image URL and attribution
+    return await fetchImageRecord(WIKIPEDIA_API, imageTitle, 'wikipedia');
   } catch (error) {
     console.error('Error fetching image:', error);
     return null;
@@ -134,11 +181,12 @@ export async function fetchFlowerImage(searchTerm) {
 /**
  * Searches Wikimedia Commons directly for flower images
  * @param {string} searchTerm - The flower name to search for
- * @returns {Promise<string|null>} - URL of the image or null if not found
+ * @param {Array<string>} excludeTitles - File titles never to return (reported images)
+ * @returns {Promise<Object|null>} - Image record or null if not found
  */
-async function fetchFromWikimediaCommons(searchTerm) {
+async function fetchFromWikimediaCommons(searchTerm, excludeTitles = []) {
   try {
-    const searchUrl = `https://commons.wikimedia.org/w/api.php?` +
+    const searchUrl = `${COMMONS_API}?` +
       `action=query&` +
       `format=json&` +
       `list=search&` +
@@ -156,6 +204,8 @@ async function fetchFromWikimediaCommons(searchTerm) {
 
     // Filter and prioritize results
     const validImages = data.query.search.filter(result => {
+      if (excludeTitles.includes(result.title)) return false;
+
       const title = result.title.toLowerCase();
 
       // Exclude non-photo files
@@ -180,36 +230,8 @@ async function fetchFromWikimediaCommons(searchTerm) {
     const randomIndex = Math.floor(Math.random() * Math.min(5, validImages.length));
     const imageTitle = validImages[randomIndex].title;
 
-    // Get the actual image URL
-    const imageInfoUrl = `https://commons.wikimedia.org/w/api.php?` +
-      `action=query&` +
-      `format=json&` +
-      `titles=${encodeURIComponent(imageTitle)}&` +
-      `prop=imageinfo&` +
-      `iiprop=url|size&` +
-      `iiurlwidth=800&` +
-      `origin=*`;
-
-    const imageResponse = await fetch(imageInfoUrl);
-    const imageData = await imageResponse.json();
-
-    const pages = imageData.query.pages;
-    const pageId = Object.keys(pages)[0];
-
-    if (pages[pageId].imageinfo && pages[pageId].imageinfo.length > 0) {
-      const imageInfo = pages[pageId].imageinfo[0];
-
-      // Check dimensions - exclude very small images (likely icons/thumbnails)
-      if (imageInfo.width && imageInfo.height) {
-        if (imageInfo.width < 200 || imageInfo.height < 200) {
-          return null;
-        }
-      }
-
-      return imageInfo.thumburl || imageInfo.url;
-    }
-
-    return null;
+    // Get the actual image URL and attribution
+    return await fetchImageRecord(COMMONS_API, imageTitle, 'commons');
   } catch (error) {
     console.error('Error fetching from Wikimedia Commons:', error);
     return null;
@@ -217,38 +239,51 @@ async function fetchFromWikimediaCommons(searchTerm) {
 }
 
 /**
- * Fetches images for multiple flowers with better search terms
- * @param {Object} flower - Flower object with scientific and common names
- * @returns {Promise<string|null>} - URL of the image or null if not found
+ * Image provider that searches Wikimedia Commons files
+ * @type {import('./imageService').ImageProvider}
  */
-export async function fetchFlowerImageSmart(flower) {
-  // Try Wikimedia Commons first (often has better flower photos)
-  const commonsTerms = [
-    flower.scientific,
-    flower.common[0]
-  ];
-
-  for (const term of commonsTerms) {
-    const imageUrl = await fetchFromWikimediaCommons(term);
-    if (imageUrl) {
-      return imageUrl;
+export const commonsProvider = {
+  id: 'commons',
+  label: 'Wikimedia Commons',
+  async fetchImage(flower) {
+    // Commons often has better flower photos than article images
+    const terms = [flower.scientific, flower.common[0]];
+    const banned = getBannedImages(flower.id);
+
+    for (const term of terms) {
+      const image = await fetchFromWikimediaCommons(term, banned);
+      if (image) {
+        return image;
+      }
     }
+
+    return null;
   }
+};
 
-  // Fallback to Wikipedia article images
-  const wikiTerms = [
-    flower.scientific,
-    flower.common[0],
-    `${flower.scientific} flower`,
-    `${flower.common[0]} plant`
-  ];
-
-  for (const term of wikiTerms) {
-    const imageUrl = await fetchFlowerImage(term);
-    if (imageUrl) {
-      return imageUrl;
+/**
+ * Image provider that picks images from Wikipedia articles
+ * @type {import('./imageService').ImageProvider}
+ */
+export const wikipediaProvider = {
+  id: 'wikipedia',
+  label: 'Wikipedia',
+  async fetchImage(flower) {
+    const terms = [
+      flower.scientific,
+      flower.common[0],
+      `${flower.scientific} flower`,
+      `${flower.common[0]} plant`
+    ];
+    const banned = getBannedImages(flower.id);
+
+    for (const term of terms) {
+      const image = await fetchFlowerImage(term, banned);
+      if (image) {
+        return image;
+      }
     }
-  }
 
-  return null;
-}
+    return null;
+  }
+};